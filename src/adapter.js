@@ -0,0 +1,133 @@
+const DAY = 86400000;
+
+/**
+ * Get calendar day of a date or timestamp in a time zone.
+ * Plain dates and timestamps without an offset, with a T or a space before the time, already name their day so they are never shifted.
+ * @param {string|number|Date|object} value - iso 8601 date/timestamp, epoch milliseconds, Date or object with valueOf such as a moment
+ * @param {string} timeZone - IANA time zone name or UTC, host time zone when undefined
+ * @returns An iso 8601 date value (YYYY-MM-DD).
+ */
+function calendarDay(value, timeZone) {
+
+    // a missing date would otherwise land on today
+    if (value === undefined || value === null) throw new Error(`Missing date, expected an iso 8601 date/timestamp, epoch milliseconds or Date`);
+
+    // wall clock values
+    if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}([T ][\d:.]*)?$/.test(value)) return value.slice(0, 10);
+
+    let date = new Date(typeof value === "object" ? value.valueOf() : value);
+
+    // host parsing of anything else must at least yield an instant
+    if (isNaN(date.getTime())) throw new Error(`Unparseable date "${value}", expected an iso 8601 date/timestamp, epoch milliseconds or Date`);
+
+    let parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+        day: "2-digit",
+        month: "2-digit",
+        timeZone: timeZone,
+        year: "numeric"
+    }).formatToParts(date).map(d => [d.type, d.value]));
+
+    return `${parts.year.padStart(4, "0")}-${parts.month}-${parts.day}`;
+
+}
+
+/**
+ * Convert iso 8601 date value to days since the unix epoch.
+ * Calendar days are treated as UTC so daylight saving never shifts them.
+ * @param {string} date - iso 8601 date value (YYYY-MM-DD)
+ * @returns An integer.
+ */
+function toDayNumber(date) {
+
+    let [year, month, day] = date.slice(0, 10).split("-").map(d => parseInt(d));
+
+    return Math.round(Date.UTC(year, month - 1, day) / DAY);
+
+}
+
+/**
+ * Convert days since the unix epoch to iso 8601 date value.
+ * @param {integer} dayNumber - days since the unix epoch
+ * @returns An iso 8601 date value (YYYY-MM-DD).
+ */
+function fromDayNumber(dayNumber) {
+    return new Date(dayNumber * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Shift iso 8601 date value by whole days.
+ * @param {string} date - iso 8601 date value
+ * @param {integer} days - days to add, may be negative
+ * @returns An iso 8601 date value.
+ */
+function addDays(date, days) {
+    return fromDayNumber(toDayNumber(date) + days);
+}
+
+/**
+ * Check whether a value is a real iso 8601 calendar date.
+ * @param {string} date - iso 8601 date value (YYYY-MM-DD)
+ * @returns A boolean.
+ */
+function isCalendarDay(date) {
+    return typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date) && fromDayNumber(toDayNumber(date)) == date;
+}
+
+/**
+ * Date adapters keep the calendar independent of any date library.
+ * Dates cross the adapter as iso 8601 date values (YYYY-MM-DD), the default is built on native Date and Intl.
+ */
+const nativeDateAdapter = {
+
+    /**
+     * Shift a date by whole days.
+     */
+    addDays: (date, days) => addDays(date, days),
+
+    /**
+     * Calendar day of a date, timestamp, epoch milliseconds or Date in a time zone.
+     */
+    calendarDay: (value, timeZone) => calendarDay(value, timeZone),
+
+    /**
+     * Whole days from dateStart to dateEnd, negative when reversed.
+     */
+    daysBetween: (dateStart, dateEnd) => toDayNumber(dateEnd) - toDayNumber(dateStart),
+
+    /**
+     * Localized label of a date with Intl.DateTimeFormat options.
+     */
+    format: (date, options, locale) => new Intl.DateTimeFormat(locale, { ...options, timeZone: "UTC" }).format(new Date(`${date}T00:00:00Z`)),
+
+    /**
+     * Whether a value is a real calendar date.
+     */
+    isValid: date => isCalendarDay(date),
+
+    /**
+     * Day of the week from 0 (sunday) to 6 (saturday).
+     */
+    weekday: date => (((toDayNumber(date) + 4) % 7) + 7) % 7
+
+};
+
+/**
+ * Resolve date adapter.
+ * @param {object} adapter - object implementing addDays, calendarDay, daysBetween, format, isValid and weekday
+ * @returns An adapter, the native one when none is given.
+ */
+function constructDateAdapter(adapter) {
+
+    if (!adapter) return nativeDateAdapter;
+
+    // verify interface
+    let missing = Object.keys(nativeDateAdapter).filter(d => typeof adapter[d] !== "function");
+
+    if (missing.length > 0) throw new Error(`Invalid dateAdapter, missing ${missing.join(", ")}`);
+
+    return adapter;
+
+}
+
+export { addDays, calendarDay, constructDateAdapter, fromDayNumber, isCalendarDay, nativeDateAdapter, toDayNumber };
+export default nativeDateAdapter;
@@ -0,0 +1,34 @@
+import { max, mean, sum } from "d3-array";
+
+/**
+ * Reducers used to roll up the activity records which fall on a single day.
+ * Each accepts the records for a day/type and a value accessor.
+ */
+const aggregations = {
+    count: (records, value) => records.length,
+    max: (records, value) => max(records, value),
+    mean: (records, value) => mean(records, value),
+    sum: (records, value) => sum(records, value)
+};
+
+/**
+ * Resolve aggregation to a reducer function.
+ * @param {string|function} aggregation - name of built-in reducer or custom function(records, valueAccessor)
+ * @returns A function which reduces an array of records to a single numeric value.
+ */
+function constructAggregation(aggregation) {
+
+    // custom reducer
+    if (typeof aggregation === "function") return aggregation;
+
+    // verify built-in exists
+    if (!aggregations[aggregation]) {
+        throw new Error(`Unknown aggregation "${aggregation}", expected one of ${Object.keys(aggregations).join(", ")} or a function`);
+    }
+
+    return aggregations[aggregation];
+
+}
+
+export { aggregations, constructAggregation };
+export default constructAggregation;
@@ -1,13 +1,49 @@
-import { name } from "../package.json";
+// package name, kept out of a json import so the module also loads in plain Node
+const name = "@lgv/activity-calendar";
 
 const configuration = {
     name: name.replace("/", "-").slice(1)
 };
 
+const configurationCalendar = {
+    locale: process.env.CALENDAR_LOCALE || "en-US",
+    timeZone: process.env.CALENDAR_TIME_ZONE || undefined,
+    weekStart: process.env.CALENDAR_WEEK_START || 1
+}
+
+const configurationData = {
+    aggregation: process.env.DATA_AGGREGATION || "sum"
+}
+
 const configurationDimension = {
     height: process.env.DIMENSION_HEIGHT || 600,
     width: process.env.DIMENSION_WIDTH || 600
 }
 
-export { configuration, configurationDimension };
+const configurationLayout = {
+    cellGap: process.env.LAYOUT_CELL_GAP ? parseFloat(process.env.LAYOUT_CELL_GAP) : null,
+    cellShape: process.env.LAYOUT_CELL_SHAPE || "triangle",
+    cellSize: process.env.LAYOUT_CELL_SIZE ? parseFloat(process.env.LAYOUT_CELL_SIZE) : null,
+    legend: process.env.LAYOUT_LEGEND === "false" ? false : (process.env.LAYOUT_LEGEND || "bottom"),
+    marginals: process.env.LAYOUT_MARGINALS === "true",
+    orientation: process.env.LAYOUT_ORIENTATION || "horizontal",
+    renderer: process.env.LAYOUT_RENDERER || "svg",
+    resizeDelay: process.env.LAYOUT_RESIZE_DELAY ? parseInt(process.env.LAYOUT_RESIZE_DELAY) : 100,
+    responsive: process.env.LAYOUT_RESPONSIVE === "true",
+    yearRows: process.env.LAYOUT_YEAR_ROWS === "true"
+}
+
+const configurationThreshold = {
+    domain: process.env.THRESHOLD_DOMAIN || "shared",
+    levels: parseInt(process.env.THRESHOLD_LEVELS) || 3,
+    offDaysMode: process.env.THRESHOLD_OFF_DAYS_MODE || "dim",
+    scale: process.env.THRESHOLD_SCALE || "quantize"
+}
+
+const configurationTransition = {
+    duration: process.env.TRANSITION_DURATION ? parseInt(process.env.TRANSITION_DURATION) : 250,
+    easing: process.env.TRANSITION_EASING || "easeCubicInOut"
+}
+
+export { configuration, configurationCalendar, configurationData, configurationDimension, configurationLayout, configurationThreshold, configurationTransition };
 export default configuration;
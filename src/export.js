@@ -0,0 +1,78 @@
+import { interpolateRgb, quantize } from "d3-interpolate";
+
+/**
+ * Default colors of threshold levels when no stylesheet is available.
+ * @param {integer} levels - number of threshold levels
+ * @returns An array of colors from lowest to highest level.
+ */
+function defaultThresholdColors(levels) {
+    return levels > 1 ? quantize(interpolateRgb("#9be9a8", "#216e39"), levels) : ["#216e39"];
+}
+
+/**
+ * Read the color a stylesheet applies to each threshold level.
+ * Levels are probed with a stand-in cell, so levels without cells and cells with an inline fill do not matter.
+ * @param {node} svgNode - rendered artboard
+ * @param {integer} levels - number of threshold levels
+ * @returns An array of colors from lowest to highest level, null where no style applies.
+ */
+function extractThresholdColors(svgNode, levels) {
+
+    let view = svgNode.ownerDocument.defaultView;
+    let parent = svgNode.querySelector(".lgv-calendar") || svgNode;
+
+    return Array.from({ length: levels }, (d, i) => {
+
+        let node = parent.appendChild(svgNode.ownerDocument.createElementNS("http://www.w3.org/2000/svg", "path"));
+
+        node.setAttribute("class", "lgv-cell");
+        node.setAttribute("data-cell-threshold", i + 1);
+
+        let fill = view && view.getComputedStyle ? view.getComputedStyle(node).fill : null;
+
+        node.remove();
+
+        // unstyled svg falls back to black
+        return fill && fill != "none" && fill != "rgb(0, 0, 0)" ? fill : null;
+
+    });
+
+}
+
+/**
+ * Serialize an artboard to a self-contained SVG document.
+ * @param {node} svgNode - rendered artboard
+ * @param {object} options - export settings
+ * @param {array} options.colors - color of each threshold level
+ * @param {number} options.fontSize - font size of annotations in pixels
+ * @param {number} options.height - artboard height
+ * @param {number} options.width - artboard width
+ * @returns An SVG markup string.
+ */
+function serializeSVG(svgNode, options) {
+
+    let clone = svgNode.cloneNode(true);
+    let style = svgNode.ownerDocument.createElementNS("http://www.w3.org/2000/svg", "style");
+
+    // cells and swatches with a palette fill keep it
+    style.textContent = [
+        `text { font-family: sans-serif; font-size: ${options.fontSize}px; }`,
+        ...options.colors.map((d, i) => `[data-cell-threshold="${i + 1}"]:not([fill]) { fill: ${d}; }`)
+    ].join(" ");
+
+    // standalone files need their own namespace and size, set as a namespace declaration so serializers don't write it twice
+    clone.setAttributeNS("http://www.w3.org/2000/xmlns/", "xmlns", "http://www.w3.org/2000/svg");
+    clone.setAttribute("width", options.width);
+    clone.setAttribute("height", options.height);
+    clone.insertBefore(style, clone.firstChild);
+
+    // interaction only makes sense in the live chart
+    clone.querySelectorAll("[tabindex]").forEach(d => d.removeAttribute("tabindex"));
+
+    let view = svgNode.ownerDocument.defaultView;
+
+    return view && view.XMLSerializer ? new view.XMLSerializer().serializeToString(clone) : clone.outerHTML;
+
+}
+
+export { defaultThresholdColors, extractThresholdColors, serializeSVG };
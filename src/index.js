@@ -1,3 +1,6 @@
+import { nativeDateAdapter } from "./adapter.js";
+import { constructStats } from "./stats.js";
+import { Tooltip, formatTooltip } from "./tooltip.js";
 import { ActivityCalendar } from "./visualization/index.js";
 
-export { ActivityCalendar };
+export { ActivityCalendar, Tooltip, constructStats, formatTooltip, nativeDateAdapter };
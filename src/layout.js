@@ -0,0 +1,189 @@
+import { addDays, calendarDay, fromDayNumber, isCalendarDay, nativeDateAdapter, toDayNumber } from "./adapter.js";
+
+/**
+ * Get position of a date within its week.
+ * @param {string} date - iso 8601 date value
+ * @param {integer} weekStart - first day of the week from 0 (sunday) to 6 (saturday)
+ * @param {object} adapter - date adapter
+ * @returns An integer from 0 (first day of the week) to 6.
+ */
+function weekdayOf(date, weekStart, adapter=nativeDateAdapter) {
+    return (adapter.weekday(date) - weekStart + 7) % 7;
+}
+
+/**
+ * Get first day of the week a date falls in.
+ * @param {string} date - iso 8601 date value
+ * @param {integer} weekStart - first day of the week from 0 (sunday) to 6 (saturday)
+ * @param {object} adapter - date adapter
+ * @returns An iso 8601 date value.
+ */
+function weekOf(date, weekStart, adapter=nativeDateAdapter) {
+    return adapter.addDays(date, -weekdayOf(date, weekStart, adapter));
+}
+
+/**
+ * CalendarLayout maps dates to grid columns (weeks), rows (weekdays) and bands (years) by day arithmetic.
+ * Column 0 is the week containing dateStart, both ends of the range are inclusive.
+ * With year bands every year restarts at column 0 with the week containing january 1st.
+ * @param {string} dateStart - iso 8601 date value
+ * @param {string} dateEnd - iso 8601 date value
+ * @param {integer} weekStart - first day of the week from 0 (sunday) to 6 (saturday)
+ * @param {boolean} yearBands - lay each year out as its own band
+ * @param {object} adapter - date adapter
+ */
+class CalendarLayout {
+    constructor(dateStart, dateEnd, weekStart=1, yearBands=false, adapter=nativeDateAdapter) {
+
+        // update self
+        this.adapter = adapter;
+        this.dateEnd = dateEnd;
+        this.dateStart = dateStart;
+        this.origin = weekOf(dateStart, weekStart, adapter);
+        this.weekStart = weekStart;
+        this.yearBands = yearBands;
+
+        // every year with a day in the range
+        let yearStart = parseInt(dateStart.slice(0, 4));
+        let yearEnd = parseInt(dateEnd.slice(0, 4));
+        this.years = Array.from({ length: Math.max(yearEnd - yearStart + 1, 0) }, (d, i) => yearStart + i);
+
+        // reversed range has no columns
+        this.columns = adapter.daysBetween(dateStart, dateEnd) < 0 ? 0 : (yearBands ?
+            Math.max(...this.years.map(d => this.column(`${String(d).padStart(4, "0")}-12-31` < dateEnd ? `${String(d).padStart(4, "0")}-12-31` : dateEnd) + 1)) :
+            this.column(dateEnd) + 1);
+
+    }
+
+    /**
+     * Get grid band of a date.
+     * @param {string} date - iso 8601 date value
+     * @returns An integer which is 0 unless laid out in year bands.
+     */
+    band(date) {
+        return this.yearBands ? this.years.indexOf(parseInt(date.slice(0, 4))) : 0;
+    }
+
+    /**
+     * Get number of bands.
+     * @returns An integer.
+     */
+    bands() {
+        return this.yearBands ? this.years.length : 1;
+    }
+
+    /**
+     * Get grid column of a date.
+     * @param {string} date - iso 8601 date value
+     * @returns An integer which is negative or >= columns when the date is outside the grid.
+     */
+    column(date) {
+        return Math.floor(this.adapter.daysBetween(this.originOf(parseInt(date.slice(0, 4))), date) / 7);
+    }
+
+    /**
+     * Check whether a date falls within the range.
+     * @param {string} date - iso 8601 date value
+     * @returns A boolean.
+     */
+    contains(date) {
+        return this.adapter.daysBetween(this.dateStart, date) >= 0 && this.adapter.daysBetween(date, this.dateEnd) >= 0;
+    }
+
+    /**
+     * Get date at a grid position.
+     * @param {integer} column - week index
+     * @param {integer} row - weekday index
+     * @param {integer} band - year index when laid out in year bands
+     * @returns An iso 8601 date value or null when the position is outside the range.
+     */
+    date(column, row, band=0) {
+
+        // row must stay within its week and band within the years
+        if (row < 0 || row > 6 || band < 0 || band >= this.bands()) return null;
+
+        let date = this.adapter.addDays(this.originOf(this.years[band]), (column * 7) + row);
+
+        // year bands only hold their own year
+        if (this.yearBands && this.band(date) != band) return null;
+
+        return this.contains(date) ? date : null;
+
+    }
+
+    /**
+     * Get every date in the range.
+     * @returns An array of iso 8601 date values from dateStart to dateEnd.
+     */
+    dates() {
+        return Array.from({ length: Math.max(this.adapter.daysBetween(this.dateStart, this.dateEnd) + 1, 0) }, (d, i) => this.adapter.addDays(this.dateStart, i));
+    }
+
+    /**
+     * Get days of the week a date falls in.
+     * @param {string} date - iso 8601 date value
+     * @returns An array of 7 iso 8601 date values starting on the first day of the week.
+     */
+    days(date) {
+
+        let start = weekOf(date, this.weekStart, this.adapter);
+
+        return [0, 1, 2, 3, 4, 5, 6].map(d => this.adapter.addDays(start, d));
+
+    }
+
+    /**
+     * Get first date of each month label in the range.
+     * @returns An array of iso 8601 date values starting with dateStart followed by the first of each subsequent month.
+     */
+    months() {
+
+        let result = [];
+        let [year, month] = this.dateStart.split("-").map(d => parseInt(d));
+        let date = this.dateStart;
+
+        while (this.columns > 0 && this.adapter.daysBetween(date, this.dateEnd) >= 0) {
+
+            result.push(date);
+
+            // first of the following month
+            month += 1;
+            if (month > 12) { month = 1; year += 1; }
+            date = `${String(year).padStart(4, "0")}-${String(month).padStart(2, "0")}-01`;
+
+        }
+
+        return result;
+
+    }
+
+    /**
+     * Get first day of column 0.
+     * @param {integer} year - year of the band when laid out in year bands
+     * @returns An iso 8601 date value.
+     */
+    originOf(year) {
+        return this.yearBands ? weekOf(`${String(year).padStart(4, "0")}-01-01`, this.weekStart, this.adapter) : this.origin;
+    }
+
+    /**
+     * Get grid row of a date.
+     * @param {string} date - iso 8601 date value
+     * @returns An integer from 0 (first day of the week) to 6.
+     */
+    row(date) {
+        return weekdayOf(date, this.weekStart, this.adapter);
+    }
+
+    /**
+     * Get first date of every week column.
+     * @returns An array of iso 8601 date values, of the first band when laid out in year bands.
+     */
+    weeks() {
+        return Array.from({ length: this.columns }, (d, i) => this.adapter.addDays(this.originOf(this.years[0]), i * 7));
+    }
+
+};
+
+export { CalendarLayout, addDays, calendarDay, fromDayNumber, isCalendarDay, toDayNumber, weekOf, weekdayOf };
+export default CalendarLayout;
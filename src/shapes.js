@@ -0,0 +1,119 @@
+import { path } from "d3-path";
+
+/**
+ * Cell shape generators keyed by name.
+ * Each accepts the cell bounds, the index of the activity type and the number of activity types.
+ * Bounds are an object with left, top, right and bottom pixel values.
+ */
+const cellShapes = {
+
+    /**
+     * Full cell, used when each activity type gets its own calendar band.
+     */
+    multiples: (bounds, i, n) => {
+
+        let p = path();
+        p.rect(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top);
+
+        return p;
+
+    },
+
+    /**
+     * Radial slice per activity type starting at 12 o'clock and moving clockwise.
+     */
+    pie: (bounds, i, n) => {
+
+        let cx = (bounds.left + bounds.right) / 2;
+        let cy = (bounds.top + bounds.bottom) / 2;
+        let r = Math.min(bounds.right - bounds.left, bounds.bottom - bounds.top) / 2;
+        let step = (Math.PI * 2) / n;
+        let angleStart = (i * step) - (Math.PI / 2);
+
+        let p = path();
+
+        // single type is a full circle
+        if (n == 1) {
+            p.moveTo(cx + r, cy);
+            p.arc(cx, cy, r, 0, Math.PI * 2);
+        } else {
+            p.moveTo(cx, cy);
+            p.arc(cx, cy, r, angleStart, angleStart + step);
+        }
+
+        p.closePath();
+
+        return p;
+
+    },
+
+    /**
+     * Columns side by side, one per activity type.
+     */
+    "stack-horizontal": (bounds, i, n) => {
+
+        let width = (bounds.right - bounds.left) / n;
+
+        let p = path();
+        p.rect(bounds.left + (i * width), bounds.top, width, bounds.bottom - bounds.top);
+
+        return p;
+
+    },
+
+    /**
+     * Rows stacked top to bottom, one per activity type.
+     */
+    "stack-vertical": (bounds, i, n) => {
+
+        let height = (bounds.bottom - bounds.top) / n;
+
+        let p = path();
+        p.rect(bounds.left, bounds.top + (i * height), bounds.right - bounds.left, height);
+
+        return p;
+
+    },
+
+    /**
+     * Top-left triangle for the first activity type and bottom-right for every other.
+     */
+    triangle: (bounds, i, n) => {
+
+        let { left, top, right, bottom } = bounds;
+
+        // define connection path
+        let p = path();
+        // source top/left point of entire path shape
+        p.moveTo(left, i == 0 ? top : bottom);
+        // line across top of cell left to right
+        p.lineTo(right, i == 0 ? top : bottom);
+        // line diagonally to bottom left
+        p.lineTo(i == 0 ? left : right, i == 0 ? bottom : top);
+        // close shape
+        p.closePath();
+
+        return p;
+
+    }
+
+};
+
+/**
+ * Resolve cell shape to a generator function.
+ * @param {string} cellShape - name of cell shape
+ * @returns A function which returns a d3-path for a cell.
+ */
+function constructCellShape(cellShape) {
+
+    // verify shape exists
+    if (!cellShapes[cellShape]) {
+        throw new Error(`Unknown cell shape "${cellShape}", expected one of ${Object.keys(cellShapes).join(", ")}`);
+    }
+
+    return cellShapes[cellShape];
+
+}
+
+export { cellShapes, constructCellShape };
+export default constructCellShape;
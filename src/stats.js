@@ -0,0 +1,82 @@
+import { nativeDateAdapter } from "./adapter.js";
+
+/**
+ * Construct an empty streak.
+ * @returns An object with dateStart, dateEnd and length keys.
+ */
+function emptyStreak() {
+    return { dateEnd: null, dateStart: null, length: 0 };
+}
+
+/**
+ * Compute summary statistics of aggregated activity within a date range.
+ * A streak is a run of consecutive days with activity. The current streak ends on the last day, or the day before while the last day has no activity yet.
+ * @param {Map} days - key/values where each key is an iso 8601 date value and corresponding value is a Map of activity type and aggregated value
+ * @param {string} dateStart - iso 8601 date value, first day counted
+ * @param {string} dateEnd - iso 8601 date value, last day counted
+ * @param {object} options - optional settings
+ * @param {object} options.adapter - date adapter, native Date when omitted
+ * @param {array} options.types - activity types counted, every type found when omitted
+ * @param {boolean} options.weekendsBreakStreaks - false skips weekends without activity instead of ending a streak
+ * @returns An object with dateStart, dateEnd, max, months, streaks, total, totals and weekdays keys.
+ */
+function constructStats(days, dateStart, dateEnd, options={}) {
+
+    let adapter = options.adapter || nativeDateAdapter;
+    let types = options.types || Array.from(new Set(Array.from(days.values(), d => Array.from(d.keys())).flat()));
+    let weekendsBreakStreaks = options.weekendsBreakStreaks === undefined ? true : options.weekendsBreakStreaks;
+
+    let result = {
+        dateEnd: dateEnd,
+        dateStart: dateStart,
+        max: { date: null, value: 0 },
+        months: {},
+        streaks: { current: emptyStreak(), longest: emptyStreak() },
+        total: 0,
+        totals: Object.fromEntries(types.map(d => [d, 0])),
+        weekdays: [0, 0, 0, 0, 0, 0, 0]
+    };
+
+    let run = null;
+    let previous = null;
+
+    for (let date = dateStart; adapter.daysBetween(date, dateEnd) >= 0; date = adapter.addDays(date, 1)) {
+
+        let values = days.get(date) || new Map();
+        let weekday = adapter.weekday(date);
+        let value = 0;
+
+        types.forEach(d => {
+            result.totals[d] += values.get(d) || 0;
+            value += values.get(d) || 0;
+        });
+
+        // combined per day, weekday and month
+        result.total += value;
+        result.weekdays[weekday] += value;
+        result.months[date.slice(0, 7)] = (result.months[date.slice(0, 7)] || 0) + value;
+
+        // first busiest day wins ties
+        if (value > result.max.value) result.max = { date: date, value: value };
+
+        // last day may not be over yet
+        previous = run;
+
+        if (value > 0) {
+            run = run ? { ...run, dateEnd: date, length: run.length + 1 } : { dateEnd: date, dateStart: date, length: 1 };
+        } else if (weekendsBreakStreaks || (weekday != 0 && weekday != 6)) {
+            run = null;
+        }
+
+        if (run && run.length > result.streaks.longest.length) result.streaks.longest = run;
+
+    }
+
+    result.streaks.current = run || previous || emptyStreak();
+
+    return result;
+
+}
+
+export { constructStats };
+export default constructStats;
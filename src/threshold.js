@@ -0,0 +1,73 @@
+import { extent, range } from "d3-array";
+import { scaleQuantile, scaleQuantize, scaleThreshold } from "d3-scale";
+
+/**
+ * Scale constructors keyed by name.
+ * Each accepts the cell values, the number of levels and explicit breakpoints,
+ * and returns a d3.js scale mapping a value to a level from 1 to levels.
+ */
+const thresholdScales = {
+
+    /**
+     * Breakpoints evenly spaced in log space so low-volume days stay distinguishable.
+     */
+    log: (values, levels) => {
+
+        let [low, high] = extent(values).map(d => Math.log1p(Math.max(d || 0, 0)));
+        let step = (high - low) / levels;
+
+        return scaleThreshold()
+            .domain(range(1, levels).map(d => Math.expm1(low + (d * step))))
+            .range(range(1, levels + 1));
+
+    },
+
+    /**
+     * Equal number of cells per level.
+     */
+    quantile: (values, levels) => scaleQuantile()
+        .domain(values)
+        .range(range(1, levels + 1)),
+
+    /**
+     * Equal width value ranges per level.
+     */
+    quantize: (values, levels) => scaleQuantize()
+        .domain(extent(values))
+        .range(range(1, levels + 1)),
+
+    /**
+     * Explicit breakpoints where level count is one more than the breakpoint count, levels is ignored.
+     */
+    threshold: (values, levels, breakpoints) => scaleThreshold()
+        .domain(breakpoints)
+        .range(range(1, breakpoints.length + 2))
+
+};
+
+/**
+ * Construct scale which maps a cell value to a threshold level.
+ * @param {string} kind - name of scale: log, quantile, quantize or threshold
+ * @param {array} values - numeric cell values the domain is derived from
+ * @param {integer} levels - number of threshold levels
+ * @param {array} breakpoints - ascending values separating levels for threshold scale
+ * @returns A d3.js scale function.
+ */
+function constructThresholdScale(kind, values, levels, breakpoints=[]) {
+
+    // verify scale exists
+    if (!thresholdScales[kind]) {
+        throw new Error(`Unknown threshold scale "${kind}", expected one of ${Object.keys(thresholdScales).join(", ")}`);
+    }
+
+    // without breakpoints every value would silently land on level 1
+    if (kind == "threshold" && (!breakpoints || breakpoints.length == 0 || breakpoints.some((d, i) => isNaN(d) || (i > 0 && d <= breakpoints[i - 1])))) {
+        throw new Error(`Invalid thresholdBreakpoints ${JSON.stringify(breakpoints)}, expected ascending numbers when thresholdScale is threshold`);
+    }
+
+    return thresholdScales[kind](values, levels, breakpoints);
+
+}
+
+export { constructThresholdScale, thresholdScales };
+export default constructThresholdScale;
@@ -0,0 +1,183 @@
+import { select } from "d3-selection";
+
+/**
+ * Escape text for safe inclusion in HTML.
+ * @param {string} value - raw text
+ * @returns A string with HTML special characters replaced by entities.
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Default tooltip content.
+ * @param {string} date - iso 8601 date value
+ * @param {array} activities - objects with type and value keys for every activity type on the day
+ * @returns An HTML string.
+ */
+function formatTooltip(date, activities) {
+    return `<strong>${escapeHtml(date)}</strong>${activities.map(d => `<div data-cell-type="${escapeHtml(d.type)}">${escapeHtml(d.type)}: ${escapeHtml(d.value)}</div>`).join("")}`;
+}
+
+/**
+ * Tooltip is an HTML overlay describing the day under the pointer.
+ * @param {ActivityCalendar} calendar - visualization the tooltip describes
+ * @param {function} formatter - function(date, activities, detail) returning an HTML string or DOM node
+ */
+class Tooltip {
+    constructor(calendar, formatter=formatTooltip) {
+
+        // update self
+        this.calendar = calendar;
+        this.container = null;
+        this.formatter = formatter;
+        this.node = null;
+
+        // keep handler references so they can be unsubscribed
+        this.handleHide = () => this.hide();
+        this.handleShow = e => this.show(e.detail);
+        this.handleTouchOutside = e => {
+
+            // canvas renderer has no cell nodes so ask the calendar what was touched
+            let isCanvasCell = e.target.closest && e.target.closest(".lgv-cell-canvas") && this.calendar.cellAtEvent(e);
+
+            if (!isCanvasCell && (!e.target.classList || !e.target.classList.contains("lgv-cell"))) this.hide();
+
+        };
+
+    }
+
+    /**
+     * Remove tooltip from the HTML DOM and unsubscribe from calendar events.
+     */
+    destroy() {
+
+        ["cellmouseover", "cellfocus", "celltouch"].forEach(d => this.calendar.off(d, this.handleShow));
+        ["cellmouseout", "cellblur"].forEach(d => this.calendar.off(d, this.handleHide));
+
+        if (this.node) {
+            this.node.node().ownerDocument.removeEventListener("touchstart", this.handleTouchOutside);
+            this.node.remove();
+        }
+
+        // update self
+        this.node = null;
+
+    }
+
+    /**
+     * Collect every activity type value on a day.
+     * @param {string} date - iso 8601 date value
+     * @returns An array of objects with type and value keys in activity type order.
+     */
+    extractActivities(date) {
+
+        let day = this.calendar.dataAggregateDays ? this.calendar.dataAggregateDays.get(date) : null;
+
+        return day ? this.calendar.activityTypes
+            .filter(d => day.has(d))
+            .map(d => ({ type: d, value: day.get(d) })) : [];
+
+    }
+
+    /**
+     * Hide tooltip.
+     */
+    hide() {
+        if (this.node) this.node.attr("hidden", "");
+    }
+
+    /**
+     * Position tooltip relative to container, flipping away from viewport edges.
+     * @param {array} xy - viewport x/y coordinates of the pointer offset by the artboard unit
+     */
+    position(xy) {
+
+        let node = this.node.node();
+        let doc = node.ownerDocument;
+        let bounds = this.container.node().getBoundingClientRect();
+        let size = node.getBoundingClientRect();
+        let offset = this.calendar.artboardUnit;
+
+        let viewportWidth = doc.documentElement.clientWidth || Infinity;
+        let viewportHeight = doc.documentElement.clientHeight || Infinity;
+
+        let x = xy[0];
+        let y = xy[1];
+
+        // flip to the other side of the pointer when overflowing the viewport
+        if (x + size.width > viewportWidth) x = xy[0] - (offset * 2) - size.width;
+        if (y + size.height > viewportHeight) y = xy[1] - (offset * 2) - size.height;
+
+        this.node
+            .style("left", `${Math.max(x, 0) - bounds.left}px`)
+            .style("top", `${Math.max(y, 0) - bounds.top}px`);
+
+    }
+
+    /**
+     * Render tooltip in the HTML DOM and subscribe to calendar events.
+     * @param {node} domNode - HTML node the calendar renders into
+     */
+    render(domNode) {
+
+        // update self
+        this.container = select(domNode);
+
+        // absolute overlay needs a positioned ancestor
+        let view = domNode.ownerDocument.defaultView;
+        if (view && view.getComputedStyle && view.getComputedStyle(domNode).position == "static") this.container.style("position", "relative");
+
+        this.node = this.container
+            .selectAll(".lgv-tooltip")
+            .data([this.calendar.name])
+            .join(
+                enter => enter.append("div"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-tooltip")
+            .attr("role", "tooltip")
+            .attr("hidden", "")
+            .style("position", "absolute")
+            .style("pointer-events", "none");
+
+        ["cellmouseover", "cellfocus", "celltouch"].forEach(d => this.calendar.on(d, this.handleShow));
+        ["cellmouseout", "cellblur"].forEach(d => this.calendar.on(d, this.handleHide));
+
+        // tapping anywhere off a cell dismisses
+        domNode.ownerDocument.addEventListener("touchstart", this.handleTouchOutside);
+
+    }
+
+    /**
+     * Show tooltip for a cell.
+     * @param {object} detail - cell event detail with date and xy keys
+     */
+    show(detail) {
+
+        let content = this.formatter(detail.date, this.extractActivities(detail.date), detail);
+
+        // formatter may build its own node
+        if (typeof content === "string") {
+            this.node.html(content);
+        } else {
+            this.node.html("");
+            this.node.node().appendChild(content);
+        }
+
+        this.node.attr("hidden", null);
+
+        this.position(detail.xy);
+
+    }
+
+};
+
+export { Tooltip, formatTooltip };
+export default Tooltip;
@@ -1,48 +1,174 @@
-import { extent, groups, rollup } from "d3-array";
+import { groups, max, rollup, sum } from "d3-array";
+import * as easings from "d3-ease";
 import { path } from "d3-path";
-import { scaleQuantize } from "d3-scale";
-import { select } from "d3-selection";
-import moment from "moment";
-
-import { configuration, configurationDimension } from "../configuration.js";
+import { pointer, select } from "d3-selection";
+import "d3-transition";
+
+import { constructDateAdapter } from "../adapter.js";
+import { constructAggregation } from "../aggregation.js";
+import { configuration, configurationCalendar, configurationData, configurationDimension, configurationLayout, configurationThreshold, configurationTransition } from "../configuration.js";
+import { defaultThresholdColors, extractThresholdColors, serializeSVG } from "../export.js";
+import { CalendarLayout, weekOf, weekdayOf } from "../layout.js";
+import { constructCellShape } from "../shapes.js";
+import { constructStats } from "../stats.js";
+import { constructThresholdScale } from "../threshold.js";
+import { Tooltip } from "../tooltip.js";
 
 /**
  * ActivityCalendar is a time series visualization.
- * @param {array} data - objects where each represents a path in the hierarchy
- * @param {string} dateEnd - iso 8601 date value
- * @param {string} dateStart - iso 8601 date value
+ * @param {array|object} data - activity records or key/values where each key is an activity type and corresponding value is an array of its records
+ * @param {string} dateEnd - iso 8601 date value, last day drawn, defaults to range preset or latest day in data
+ * @param {string} dateStart - iso 8601 date value, first day drawn, defaults to range preset or earliest day in data
  * @param {integer} height - artboard height
  * @param {integer} width - artboard width
+ * @param {object} options - optional settings
+ * @param {boolean} options.accessible - expose the calendar as a keyboard navigable grid with screen reader labels
+ * @param {function} options.accessibleLabel - function(date, value, type) returning the label read for a cell
+ * @param {array} options.annotations - markers drawn above the cells: {date or dateRange: [start, end], label, kind, mark} where mark is outline, dot or span
+ * @param {string|function} options.aggregation - how records on the same day roll up: count, max, mean, sum or function(records, valueAccessor)
+ * @param {boolean|function} options.caption - render summary statistics under the chart, function(stats) returning the caption text
+ * @param {number} options.cellGap - space in pixels between cells, defaults to 0.15 of the artboard unit
+ * @param {string} options.cellShape - how activity types share a day cell: triangle, pie, stack-horizontal, stack-vertical or multiples
+ * @param {number} options.cellSize - fixed width/height of a cell in pixels which sizes the artboard to fit instead of stretching cells to fill it
+ * @param {boolean} options.cellSquare - keep cells square when stretching them to fill the artboard
+ * @param {function} options.dateAccessor - function(record) returning the date of an activity record
+ * @param {object} options.dateAdapter - date library adapter implementing addDays, calendarDay, daysBetween, format, isValid and weekday, native Date/Intl when omitted
+ * @param {string|boolean} options.legend - legend position: top, bottom, right or false to hide it
+ * @param {string} options.locale - BCP 47 language tag used for weekday and month names
+ * @param {boolean} options.marginals - draw weekday totals beside and weekly totals stacked by activity type below the grid
+ * @param {array} options.offDays - weekend and/or annotation kinds whose days are dimmed or left out of the threshold domain
+ * @param {string} options.offDaysMode - dim fades off days, exclude leaves their values out of the threshold domain
+ * @param {string} options.orientation - horizontal lays weeks out as columns, vertical lays weeks out as rows
+ * @param {object} options.palettes - key/values where each key is an activity type and corresponding value is an array of colors, one per threshold level
+ * @param {object} options.range - preset used when dates are omitted: {last: days} ending today or {year: integer} for a calendar year
+ * @param {string} options.renderer - svg draws a path per cell, canvas draws every cell to one canvas for dense calendars
+ * @param {integer} options.resizeDelay - milliseconds to wait after the last container resize before re-rendering
+ * @param {boolean} options.responsive - size the artboard to the container and re-render when it resizes
+ * @param {boolean} options.selectable - select days, ranges, months or weekdays by click, shift-click, drag or label click
+ * @param {array} options.thresholdBreakpoints - ascending values separating levels when thresholdScale is threshold
+ * @param {string} options.thresholdDomain - shared to compare all activity types on one scale or type to scale each activity type on its own values
+ * @param {integer} options.thresholdLevels - number of threshold levels
+ * @param {string} options.thresholdScale - how values map to levels: quantize, quantile, threshold or log
+ * @param {boolean} options.tooltip - render an HTML tooltip describing the day under the pointer
+ * @param {string} options.timeZone - IANA time zone name or UTC used to assign timestamps to calendar days, host time zone when omitted
+ * @param {function} options.tooltipFormatter - function(date, activities, detail) returning tooltip HTML string or DOM node
+ * @param {boolean} options.transition - animate cells entering, exiting and changing on update
+ * @param {integer} options.transitionDuration - milliseconds a transition runs, a reduced motion preference disables transitions
+ * @param {string|function} options.transitionEasing - d3-ease function name or function(t) returning eased t
+ * @param {function} options.typeAccessor - function(record) returning the activity type of a record in a flat array
+ * @param {function} options.valueAccessor - function(record) returning the numeric value of an activity record
+ * @param {boolean} options.weekendsBreakStreaks - false skips weekends without activity instead of ending a streak
+ * @param {integer|string} options.weekStart - first day of the week as 0 (sunday) to 6 (saturday) or an english day name
+ * @param {boolean} options.yearRows - stack each year as its own labeled band
  */
 class ActivityCalendar {
-    constructor(data, dateStart, dateEnd, width=configurationDimension.width, height=configurationDimension.height) {
+    constructor(data, dateStart, dateEnd, width=configurationDimension.width, height=configurationDimension.height, options={}) {
 
         // update self
-        this.activityTypes = data ? Object.keys(data) : [];
+        this.accessible = options.accessible || false;
+        this.accessibleLabel = options.accessibleLabel || ((date, value, type) => `${this.formatDate(date, { weekday: "short", day: "numeric", month: "short", year: "numeric" })}: ${value} ${type}`);
+        this.activityTypes = [];
+        this.aggregation = options.aggregation || configurationData.aggregation;
+        this.annotations = options.annotations || [];
         this.artboard = null;
+        this.bandGap = 0;
+        this.calendarLayout = null;
+        this.caption = options.caption || false;
+        this.cellFocused = null;
+        this.cellGap = options.cellGap === undefined ? configurationLayout.cellGap : options.cellGap;
         this.cellHeight = null;
+        this.cellShape = options.cellShape || configurationLayout.cellShape;
+        this.cellSize = options.cellSize === undefined ? configurationLayout.cellSize : options.cellSize;
+        this.cellSquare = options.cellSquare || false;
+        this.cellHovered = null;
         this.cellWidth = null;
         this.container = null;
         this.containerCalendar = null;
         this.containerDaysOfWeek = null;
+        this.containerLegend = null;
+        this.containerMarginals = null;
+        this.containerMarkers = null;
         this.containerWeeksOfYear = null;
+        this.containerYears = null;
         this.dataAggregateDays = null;
         this.dataCells = null;
+        this.dataRecordsDays = null;
         this.dataSource = data;
+        this.dateAccessor = options.dateAccessor || (d => d.date);
+        this.dateAdapter = constructDateAdapter(options.dateAdapter);
         this.dateEnd = dateEnd;
         this.dateStart = dateStart;
         this.height = height;
+        this.highlightPredicate = null;
+        this.legend = options.legend === undefined ? configurationLayout.legend : options.legend;
+        this.listeners = [];
+        this.locale = options.locale || configurationCalendar.locale;
+        this.marginals = options.marginals === undefined ? configurationLayout.marginals : options.marginals;
+        this.marginalSize = 0;
         this.months = null;
         this.name = configuration.name;
+        this.offDays = options.offDays || [];
+        this.offDaysMode = options.offDaysMode || configurationThreshold.offDaysMode;
+        this.orientation = options.orientation || configurationLayout.orientation;
+        this.paddingBottom = 0;
+        this.paddingRight = 0;
         this.paddingSide = 0;
         this.paddingTop = 0;
+        this.palettes = options.palettes || {};
+        this.range = options.range || null;
+        this.renderer = options.renderer || configurationLayout.renderer;
+        this.resizeDelay = options.resizeDelay === undefined ? configurationLayout.resizeDelay : options.resizeDelay;
+        this.resizeObserver = null;
+        this.resizeTimer = null;
+        this.responsive = options.responsive === undefined ? configurationLayout.responsive : options.responsive;
+        this.selectable = options.selectable || false;
+        this.selectedDates = [];
+        this.selectionAnchor = null;
+        this.selectionDrag = false;
+        this.thresholdBreakpoints = options.thresholdBreakpoints || [];
+        this.thresholdDomain = options.thresholdDomain || configurationThreshold.domain;
+        this.thresholdLevels = options.thresholdLevels || configurationThreshold.levels;
+        this.thresholdScale = options.thresholdScale || configurationThreshold.scale;
+        this.timeZone = options.timeZone || configurationCalendar.timeZone;
+        this.tooltip = options.tooltip || false;
+        this.tooltipFormatter = options.tooltipFormatter;
+        this.tooltipOverlay = null;
+        this.transition = options.transition || false;
+        this.transitionDuration = options.transitionDuration === undefined ? configurationTransition.duration : options.transitionDuration;
+        this.transitionEasing = options.transitionEasing || configurationTransition.easing;
+        this.typeAccessor = options.typeAccessor || (d => d.type);
+        this.valueAccessor = options.valueAccessor || (d => d.value);
+        this.visibleTypes = null;
+        this.visibleTypesThreshold = false;
         this.weekdays = [];
+        this.weekendsBreakStreaks = options.weekendsBreakStreaks === undefined ? true : options.weekendsBreakStreaks;
         this.weekIndicies = [];
+        this.weekStart = this.constructWeekStart(options.weekStart === undefined ? configurationCalendar.weekStart : options.weekStart);
         this.width = width;
+        this.yearRows = options.yearRows === undefined ? configurationLayout.yearRows : options.yearRows;
         this.years = null;
 
         // using font size as the base unit of measure make responsiveness easier to manage across devices
-        this.artboardUnit = typeof window === "undefined" ? 16 : parseFloat(getComputedStyle(document.body).fontSize);
+        this.artboardUnit = this.constructArtboardUnit();
+
+        // activity types depend on the accessors above
+        this.activityTypes = this.extractActivityTypes();
+
+        // fail early on unknown renderers
+        if (!["canvas", "svg"].includes(this.renderer)) throw new Error(`Invalid renderer "${this.renderer}", expected svg or canvas`);
+
+        // fail early on unknown off day modes
+        if (!["dim", "exclude"].includes(this.offDaysMode)) throw new Error(`Invalid offDaysMode "${this.offDaysMode}", expected dim or exclude`);
+
+        // fail early on unknown orientations
+        if (!["horizontal", "vertical"].includes(this.orientation)) throw new Error(`Invalid orientation "${this.orientation}", expected horizontal or vertical`);
+
+        // fail early on unknown time zone names
+        try {
+            this.dateAdapter.calendarDay(0, this.timeZone);
+        } catch (error) {
+            throw new Error(`Invalid timeZone "${this.timeZone}", expected an IANA time zone name or UTC`);
+        }
 
     }
 
@@ -54,72 +180,71 @@ class ActivityCalendar {
         // verify valid source provided
         if (this.dataSource && Object.keys(this.dataSource).length > 0) {
 
-            let activityTypesMerged = [];
-
-            // loop through keys
-            for (const key in this.dataSource) {
+            // pair every record with its activity type
+            let activityTypesMerged = this.extractRecords();
 
-                // push all activity objects into single array
-                activityTypesMerged = activityTypesMerged.concat(this.dataSource[key]);
+            // source may have changed since construction
+            this.activityTypes = this.extractActivityTypes();
 
-            }
+            // reduce records to a single value per day/type
+            let aggregate = constructAggregation(this.aggregation);
 
-            // aggregate collab/push days
-            this.dataAggregateDays = rollup(activityTypesMerged,
-                v => v.length,
-                d => moment(d.date).format("YYYY-MM-DD"),
-                d => d.type
+            // keep records per day/type so appends and removals only re-aggregate their days
+            this.dataRecordsDays = rollup(activityTypesMerged,
+                v => v.map(d => d[1]),
+                d => this.dayOfRecord(d[1]),
+                d => d[0]
             );
 
-            let dateEnd = moment(this.dateEnd);
-            let dateStart = moment(this.dateStart);
-
-            let weeks = [];
+            // aggregate collab/push days
+            this.dataAggregateDays = new Map(Array.from(this.dataRecordsDays.keys(), d => [d, this.constructDayAggregate(d, aggregate)]));
 
-            // get list of first date of months
-            while (dateStart < dateEnd) {
+            // map conditioned data to the calendar grid
+            this.grid;
 
-                // capture actual date iso string since moment mutates values
-                let dateWeek = dateStart.format("YYYY-W");
+        // no activity yet but a range to draw, e.g. a new user
+        } else if (this.range || ![this.dateStart, this.dateEnd].some(d => d === undefined || d === null)) {
 
-                // update list
-                weeks.push(dateWeek);
+            // update self
+            this.activityTypes = [];
+            this.dataAggregateDays = new Map();
+            this.dataRecordsDays = new Map();
 
-                // iterate the date value
-                dateStart.add(1, "week");
+            // empty grid
+            this.grid;
 
-            }
+        }
 
-            // because the time range may/may not be an entire year
-            // we need to map index to iso week so we can reference the position later
-            this.weekIndicies = weeks;
+    }
 
-            // extract years
-            this.years = [...new Set(this.weekIndicies.map(d => d.split("-")[0]))];
+    /**
+     * Map conditioned data to the calendar grid.
+     */
+    get grid() {
 
-            // get weekday values
-            let weekdays = moment.weekdays();
+        // verify conditioned data
+        if (this.dataAggregateDays) {
 
-            // shift so monday is the first day of the week
-            weekdays.push(weekdays.shift());
+            // explicit dates, preset or extent of the data
+            let [dateStart, dateEnd] = this.constructDateRange();
 
-            // update self
-            this.weekdays = weekdays;
+            // map dates to grid columns/rows by day arithmetic
+            this.calendarLayout = new CalendarLayout(dateStart, dateEnd, this.weekStart, this.yearRows, this.dateAdapter);
 
-            let months = [];
+            // first date of each week column
+            this.weekIndicies = this.calendarLayout.weeks();
 
-            dateEnd = moment(this.dateEnd);
-            dateStart = moment(this.dateStart);
+            // extract years
+            this.years = this.calendarLayout.years.map(d => String(d));
 
-            // get list of first date of months
-            while (dateStart < dateEnd) {
-                months.push(dateStart.format("YYYY-MM-DD"))
-                dateStart.add(1, "month")
-            }
+            // update self
+            this.weekdays = this.constructWeekdays("long");
 
             // update self
-            this.months = months;
-            this.dataCells = this.activityTypes.map(d => this.extractActivity(d)).flat();
+            this.months = this.calendarLayout.months();
+
+            // days outside the range have no place in the grid
+            this.dataCells = this.extractCells();
 
         }
 
@@ -131,399 +256,2581 @@ class ActivityCalendar {
      */
     get layout() {
 
-        // space for annotations
-        this.paddingTop = this.artboardUnit * 2;
-        this.paddingSide = this.artboardUnit * 2;
+        let isVertical = this.orientation == "vertical";
+        let yearBands = this.calendarLayout ? this.calendarLayout.bands() : 1;
 
-        // determine cell size
-        this.cellHeight = (this.height - this.paddingTop) / this.weekdays.length;
-        this.cellWidth = (this.width - this.paddingSide) / this.weekIndicies.length;
+        // space for annotations, year labels sit beside (horizontal) or above (vertical) each year
+        this.paddingTop = this.artboardUnit * (isVertical && this.yearRows ? 3.5 : 2);
+        this.paddingSide = this.artboardUnit * (isVertical ? 4 : (this.yearRows ? 3.5 : 2));
+        this.paddingBottom = 0;
+        this.paddingRight = 0;
 
-    }
+        // space between years for their month annotations
+        this.bandGap = this.yearRows ? (isVertical ? this.artboardUnit * 4 : this.artboardUnit * 2) : 0;
 
-    /**
-     * Position and minimally style days of week in SVG dom element.
-     * @param {node} domNode - d3.js SVG selection
-     */
-    configureAnnotationDaysOfWeek(domNode) {
-        domNode
-            .attr("class", "lgv-annotation-day")
-            .attr("x", 0)
-            .attr("y", (d,i) => i * this.cellHeight)
-            .text(d => d);
-    }
+        // space for legend
+        if (this.legend) {
 
-    /**
-     * Position and minimally style months in SVG dom element.
-     * @param {node} domNode - d3.js SVG selection
-     */
-    configureAnnotationMonths(domNode) {
-        domNode
-            .attr("class", "lgv-annotation-month")
-            .attr("x", d => {
+            let legend = this.constructLegendLayout();
+
+            if (this.legend == "top") this.paddingTop += legend.height;
+            if (this.legend == "bottom") this.paddingBottom = legend.height;
+            if (this.legend == "right") this.paddingRight = legend.width + this.artboardUnit * 0.5;
 
-                // get iso week
-                let isoWeek = moment(d).format("W");
+        }
 
-                // need to find how many years we span
-                let isMultiYear = this.years.length > 1;
+        // space for weekday/week bar charts beside and below the grid
+        this.marginalSize = this.marginals ? this.artboardUnit * 3 : 0;
+        this.paddingBottom += this.marginalSize;
+        this.paddingRight += this.marginalSize;
 
-                // set default for "normal" months that don't cross a year boundary
-                let yearWeek = moment(d).format("YYYY-W");
+        // space for caption below everything else
+        if (this.caption) this.paddingBottom += this.artboardUnit * 2;
 
-                // if week value is 53 and there are multiple 53 (i.e. time range spans multiple years)
-                if (isMultiYear && (isoWeek == 53 || isoWeek == 1)) {
+        // small multiples repeat the weekday rows once per activity type
+        let bands = this.cellShape == "multiples" ? Math.max(this.activityTypes.length, 1) : 1;
 
-                    // try to find by newer year first
-                    if (isoWeek == 1) {
+        // cells along the weekday axis and the week axis
+        let days = this.weekdays.length * bands * yearBands;
+        let weeks = this.weekIndicies.length;
+        let gaps = (yearBands - 1) * this.bandGap;
 
-                        // update
-                        yearWeek = `${moment(d).format("YYYY")}-1`;
+        // vertical swaps the axes
+        let [columns, rows] = isVertical ? [days, weeks] : [weeks, days];
+        let [gapsX, gapsY] = isVertical ? [gaps, 0] : [0, gaps];
 
-                    } else {
+        if (this.cellSize) {
 
-                        // need to find the index of week 53 for year previous for proper alignment
-                        yearWeek = `${moment(d).format("YYYY") - 1}-${moment(d).format("W")}`;
+            // fixed cells grow the artboard to fit the range
+            this.cellHeight = this.cellSize + this.constructCellGap();
+            this.cellWidth = this.cellSize + this.constructCellGap();
+            this.height = this.paddingTop + this.paddingBottom + (rows * this.cellHeight) + gapsY;
+            this.width = this.paddingSide + this.paddingRight + (columns * this.cellWidth) + gapsX;
 
-                    }
+        } else {
 
-                }
+            // determine cell size
+            this.cellHeight = (this.height - this.paddingTop - this.paddingBottom - gapsY) / rows;
+            this.cellWidth = (this.width - this.paddingSide - this.paddingRight - gapsX) / columns;
 
-                // get index of date in list of dates in range
-                let weekIndex = this.weekIndicies.indexOf(yearWeek);
+            // stretch the smaller side only
+            if (this.cellSquare) {
+                this.cellHeight = Math.min(this.cellHeight, this.cellWidth);
+                this.cellWidth = this.cellHeight;
+            }
 
-                // if -1 means the value is on the time boundary
-                return  weekIndex === -1 ? this.artboardUnit : (weekIndex * this.cellWidth);
+        }
 
-            })
-            .attr("y", this.cellHeight * 0.6)
-            .each((d, i, nodes) => {
-                select(nodes[i])
-                    .selectAll("tspan")
-                    .data(i == 0 ? [moment(d).format("MMM"), moment(d).format("YYYY")] : (moment(d).format("M") == 1 ? [moment(d).format("MMM"), moment(d).format("YYYY")] : [moment(d).format("MMM")])
-                    )
-                    .join(
-                        enter => enter.append("tspan"),
-                        update => update,
-                        exit => exit.remove()
-                    )
-                    .text(x => x)
-                    .attr("dx", (x, j) => j == 0 ? "" : 3)
-            });
     }
 
     /**
-     * Position and minimally style activity cell shapes in SVG dom element.
-     * @param {node} domNode - d3.js SVG selection
+     * Add activity records, re-aggregating only the days they fall on.
+     * @param {array} records - activity records
+     * @param {string} type - activity type of every record when the source is keyed by type, otherwise read with the type accessor
+     * @returns The ActivityCalendar instance for chaining.
      */
-    configureCellShapes(domNode) {
+    append(records, type) {
 
-        // have to reassign color function or the this conflicts inside the accessor
-        let threshold = this.constructThreshold();
+        // an array source would lose the type on the next full aggregation
+        if (type !== undefined && Array.isArray(this.dataSource)) throw new Error(`Cannot append records of type "${type}" to an array source, set the type on each record instead`);
 
-        domNode
-            .attr("class", "lgv-cell")
-            .attr("data-cell-date", d => d[0])
-            .attr("data-cell-threshold", d => threshold(d[1]))
-            .attr("data-cell-type", d => d[2])
-            .attr("data-cell-value", d => d[1])
-            .attr("d", d => {
-
-                // have to determine if there is a beginning of the year
-                // in the week the current date falls
-                // otherwise the week may not be calculatable
-                // if the captured index reflects the following or past year, i.e. 52/53 problem
-                let days = this.isoDaysofWeek(d[0]);
-
-                // need to get iso week value for each day in week
-                // seems counterintuitive but some dates in the same
-                // week could fall into different iso weeks
-                let daysWeek = days.map(d => moment(d).format("W"));
-
-                // determine what column in the grid the iso week is in
-                let columnWeek = this.weekIndicies.indexOf(moment(d[0]).format("YYYY-W"));
-                let i = this.activityTypes.indexOf(d[2]);
-                let left = columnWeek * this.cellWidth;
-                let top = (moment(d[0]).isoWeekday() - 1) * this.cellHeight;
-
-                // -value to generate padding around cell
-                let right = left + (this.cellWidth - (this.artboardUnit * 0.15));
-                let bottom = top + (this.cellHeight - (this.artboardUnit * 0.15));
-
-                // define connection path
-                let p = path();
-                // source top/left point of entire path shape
-                p.moveTo(left, i == 0 ? top : bottom);
-                // line across top of cell left to right
-                p.lineTo(right, i == 0 ? top : bottom);
-                // line diagonally to bottom left
-                p.lineTo(i == 0 ? left : right, i == 0 ? bottom : top);
-                // close shape
-                p.closePath();
-
-                return p;
+        let typeOf = d => type === undefined ? this.typeAccessor(d) : type;
 
-            })
-            .on("mouseover", (e,d) => {
-
-                this.artboard.dispatch("cellmouseover", {
-                    bubbles: true,
-                    detail: {
-                        date: d[0],
-                        threshold: e.target.dataset.cellThreshold,
-                        type: d[2],
-                        value: d[1],
-                        xy: [e.clientX + this.artboardUnit, e.clientY + this.artboardUnit]
-                    }
-                })
-            });
-    }
+        // update self
+        if (type !== undefined || (this.dataSource && !Array.isArray(this.dataSource))) {
+            this.dataSource = { ...this.dataSource };
+            records.forEach(d => this.dataSource[typeOf(d)] = (this.dataSource[typeOf(d)] || []).concat([d]));
+        } else {
+            this.dataSource = (this.dataSource || []).concat(records);
+        }
 
-    /**
-     * Construct threshold for cell value.
-     * @returns A d3.js scale function.
-     */
-    constructThreshold() {
+        // nothing conditioned yet so render will aggregate everything
+        if (!this.dataRecordsDays) return this.generateIncrement(null);
 
-        // extract values pertaining to activity type
-        let values = (this.dataCells || [])
-            .map(d => d[1]);
+        let days = new Set();
+        let types = this.activityTypes.length;
 
-        // construct scale
-        return scaleQuantize()
-            .domain(extent(values))
-            .range([1, 2, 3]);
+        records.forEach(d => {
 
-    }
+            let day = this.dayOfRecord(d);
+            let key = typeOf(d);
 
-    /**
-     * Format entries to simple array filtered for key.
-     * @param {string} key - type of activity which is a key from the raw source data
-     * @returns A 1d array where 0 == iso date value, 1 == key'd value.
-     */
-    extractActivity(key) {
+            if (!this.dataRecordsDays.has(day)) this.dataRecordsDays.set(day, new Map());
+            if (!this.dataRecordsDays.get(day).has(key)) this.dataRecordsDays.get(day).set(key, []);
 
-        let result = [];
+            this.dataRecordsDays.get(day).get(key).push(d);
+            if (!this.activityTypes.includes(key)) this.activityTypes.push(key);
 
-        // check for valid value data
-        if (this.dataAggregateDays) {
+            days.add(day);
 
-            result = Array.from(this.dataAggregateDays)
-                .map(d => [d[0], Object.fromEntries(d[1])])
-                .filter(d => Object.keys(d[1]).includes(key))
-                .map(d => [d[0], d[1][key]]);
+        });
 
-        }
+        this.aggregateDays(days);
 
-        return result.map(d => d.concat([key]));
+        return this.generateIncrement(days, this.activityTypes.length != types);
 
     }
 
     /**
-     * Generate chart annotations in SVG element.
+     * Re-aggregate days after their records changed.
+     * @param {Set} days - iso 8601 date values
      */
-    generateAnnotations() {
-
-        // days of week
-        const daysOfWeek = this.generateDaysOfWeek(this.containerDaysOfWeek);
-        this.configureAnnotationDaysOfWeek(daysOfWeek);
-
-        // months / year
-        const month = this.generateMonths(this.containerWeeksOfYear);
-        this.configureAnnotationMonths(month);
+    aggregateDays(days) {
 
-    }
+        let aggregate = constructAggregation(this.aggregation);
 
-    /**
-     * Generate SVG artboard in the HTML DOM.
-     * @param {selection} domNode - d3 selection
-     * @returns A d3.js selection.
-     */
-    generateArtboard(domNode) {
-        return domNode
-            .selectAll("svg")
-            .data([{height: this.height, width: this.width}])
-            .join(
-                enter => enter.append("svg"),
-                update => update,
-                exit => exit.remove()
-            )
-            .attr("viewBox", d => `0 0 ${d.width} ${d.height}`)
-            .attr("class", this.name);
-    }
+        days.forEach(d => {
+            if (this.dataRecordsDays.has(d)) {
+                this.dataAggregateDays.set(d, this.constructDayAggregate(d, aggregate));
+            } else {
+                this.dataAggregateDays.delete(d);
+            }
+        });
 
-    /**
-     * Generate SVG shapes in the HTML DOM.
-     * @param {node} domNode - HTML node
-     * @returns A d3.js selection.
-     */
-    generateCellShapes(domNode) {
-        return domNode
-            .selectAll(".lgv-cell")
-            .data(this.dataCells || [])
-            .join(
-                enter => enter.append("path"),
-                update => update,
-                exit => exit.remove()
-            );
     }
 
     /**
-     * Generate SVG text elements in the HTML DOM.
-     * @param {node} domNode - HTML node
-     * @returns A d3.js selection.
+     * Get cell under a pointer or touch event of the canvas renderer.
+     * @param {event} e - DOM event triggered on the canvas
+     * @returns An array where 0 == iso date value, 1 == value, 2 == activity type; or null when no activity is drawn there.
      */
-    generateDaysOfWeek(domNode) {
-        return domNode
-            .selectAll(".lgv-annotation-day-of-week")
-            .data(this.weekdays ? this.weekdays.map(d => d[0]) : [])
-            .join(
-                enter => enter.append("text"),
-                update => update,
-                exit => exit.remove()
-            );
-    }
+    cellAtEvent(e) {
 
-    /**
-     * Generate SVG text elements in the HTML DOM.
-     * @param {node} domNode - HTML node
-     * @returns A d3.js selection.
-     */
-    generateMonths(domNode) {
-        return domNode
-            .selectAll(".lgv-annotation-month")
-            .data(this.months ? this.months : [])
-            .join(
-                enter => enter.append("text"),
-                update => update,
-                exit => exit.remove()
-            )
-    }
+        let canvas = this.containerCalendar ? this.containerCalendar.select(".lgv-cell-canvas canvas").node() : null;
 
-    /**
-     * Generate top-level logical groupings.
-     */
-    generateContainers() {
+        // svg renderer hit-tests with the dom
+        if (!canvas) return null;
 
-        // days of week container
-        this.containerDaysOfWeek = this.artboard
-            .selectAll(".lgv-annotation-days-of-week")
-            .data(d => [d])
-            .join(
-                enter => enter.append("g"),
-                update => update,
-                exit => exit.remove()
-            )
-            .attr("class", "lgv-annotation-days-of-week")
-            .attr("transform", `translate(0,${this.paddingTop + this.artboardUnit})`);
+        let context = typeof Path2D !== "undefined" && canvas.getContext ? canvas.getContext("2d") : null;
+        let width = parseFloat(canvas.getAttribute("data-width"));
 
-        // month of year container
-        this.containerWeeksOfYear = this.artboard
-            .selectAll(".lgv-annotation-months-of-year")
-            .data(d => [d])
-            .join(
-                enter => enter.append("g"),
-                update => update,
-                exit => exit.remove()
-            )
-            .attr("class", "lgv-annotation-months-of-year")
-            .attr("transform", `translate(${this.paddingSide},0)`);
+        // css pixels to artboard units as the viewBox scales the canvas
+        let scale = width / (canvas.getBoundingClientRect().width || width);
+        let [x, y] = pointer(e.touches && e.touches.length > 0 ? e.touches[0] : e, canvas);
 
-        // calendar content container
-        this.containerCalendar = this.artboard
-            .selectAll(".lgv-calendar")
-            .data(d => [d])
-            .join(
-                enter => enter.append("g"),
-                update => update,
-                exit => exit.remove()
-            )
-            .attr("class", "lgv-calendar")
-            .attr("transform", d => `translate(${this.paddingSide},${this.paddingTop})`);
+        return this.cellAtPoint(x * scale, y * scale, context);
 
     }
 
     /**
-     * Generate visualization.
+     * Get cell at a point in the calendar container.
+     * @param {float} x - horizontal pixel position relative to the calendar container
+     * @param {float} y - vertical pixel position relative to the calendar container
+     * @param {context} context - canvas 2d context used to tell apart activity types sharing a day
+     * @returns An array where 0 == iso date value, 1 == value, 2 == activity type; or null when no activity is drawn there.
      */
-    generateVisualization() {
+    cellAtPoint(x, y, context=null) {
 
-        // condition data
-        this.data;
+        let hit = this.dateAtPoint(x, y);
 
-        // determine layout specs
-        this.layout;
+        if (!hit) return null;
 
-        // generate svg artboard
-        this.artboard = this.generateArtboard(this.container);
+        // visible cells of the day, narrowed to the band for small multiples
+        let cells = (this.dataCells || []).filter(d => d[0] == hit[0] && (!hit[1] || d[2] == hit[1]) && (!this.visibleTypes || this.visibleTypes.includes(d[2])));
 
-        // generate top-level groupings
-        this.generateContainers(this.artboard);
+        // shapes which share a day cover different parts of it
+        if (cells.length > 1 && context && typeof Path2D !== "undefined") {
 
-        // generate days of week/month-year annotations
-        this.generateAnnotations();
+            let shape = constructCellShape(this.cellShape);
+            let gap = this.constructCellGap();
+            let ratio = context.canvas.width / parseFloat(context.canvas.getAttribute("data-width"));
+            let match = cells.find(d => context.isPointInPath(new Path2D(this.constructCellPath(d, shape, gap).toString()), x * ratio, y * ratio));
 
-        // generate cell shapes
-        const cells = this.generateCellShapes(this.containerCalendar);
+            if (match) return match;
 
-        // minimally position/style cell shapes
-        this.configureCellShapes(cells);
+        }
+
+        return cells[0] || null;
 
     }
 
     /**
-     * Get ISO days of the week for a given date.
-     * @param {currentDate} string - iso 8601 date value
-     * @returns An array of strings where each is an iso 8601 date value representing a day in a week.
+     * Remove highlight from every cell.
+     * @returns The ActivityCalendar instance for chaining.
      */
-    isoDaysofWeek(currentDate) {
-
-        // get iso week start/end
-        let weekStart = moment(currentDate).startOf("isoWeek");
-        let weekEnd = moment(currentDate).add(6, "day");
+    clearHighlight() {
 
-        let days = [];
+        // update self
+        this.highlightPredicate = null;
 
-        // generate days in between iso start/end of week
-        while (weekStart < weekEnd) {
-            days.push(weekStart.format("YYYY-MM-DD"));
-            weekStart.add(1, "day");
-        }
+        this.configureHighlight();
 
-        return days;
+        return this;
 
     }
 
     /**
-     * Render visualization.
-     * @param {node} domNode - HTML node
+     * Remove selection without emitting an event.
      */
-    render(domNode) {
+    clearSelection() {
 
         // update self
-        this.container = select(domNode);
+        this.selectedDates = [];
+        this.selectionAnchor = null;
+        this.selectionDrag = false;
 
-        // generate visualization
-        this.generateVisualization();
+        this.configureSelectedCells();
 
     }
 
     /**
-     * Update visualization.
-     * @param {object} data - key/values where each key is a series label and corresponding value is an array of values
-     * @param {integer} height - height of artboard
-     * @param {integer} width - width of artboard
+     * Position and minimally style days of week in SVG dom element.
+     * @param {node} domNode - d3.js SVG selection
      */
-    update(data, width, height) {
+    configureAnnotationDaysOfWeek(domNode) {
 
-        // update self
-        this.dataSource = data;
-        this.height = height;
-        this.width = width;
+        let pitch = this.constructPitch();
+        let slots = this.weekdays.length * (this.cellShape == "multiples" ? Math.max(this.activityTypes.length, 1) : 1);
 
-        // generate visualization
-        this.generateVisualization();
+        // labels repeat for every year band
+        let position = i => (Math.floor(i / slots) * pitch.year) + ((i % slots) * pitch.day);
+
+        domNode
+            .attr("class", "lgv-annotation-day")
+            .attr("x", (d,i) => this.orientation == "vertical" ? position(i) : 0)
+            .attr("y", (d,i) => this.orientation == "vertical" ? 0 : position(i))
+            .text(d => d);
+    }
+
+    /**
+     * Position and minimally style months in SVG dom element.
+     * @param {node} domNode - d3.js SVG selection
+     */
+    configureAnnotationMonths(domNode) {
+
+        let isVertical = this.orientation == "vertical";
+        let pitch = this.constructPitch();
+
+        // months run along the week axis of their year band
+        let week = d => this.calendarLayout.column(d) * pitch.week;
+        let year = d => this.calendarLayout.band(d) * pitch.year;
 
+        domNode
+            .attr("class", "lgv-annotation-month")
+            .attr("x", d => isVertical ? year(d) : week(d))
+            .attr("y", d => isVertical ? week(d) + this.artboardUnit : year(d) + (this.artboardUnit * 1.25))
+            .each((d, i, nodes) => {
+                select(nodes[i])
+                    .selectAll("tspan")
+                    .data((i == 0 || d.slice(5, 7) == "01") && !this.yearRows ? [this.formatDate(d, { month: "short" }), this.formatDate(d, { year: "numeric" })] : [this.formatDate(d, { month: "short" })])
+                    .join(
+                        enter => enter.append("tspan"),
+                        update => update,
+                        exit => exit.remove()
+                    )
+                    .text(x => x)
+                    .attr("x", (x, j) => isVertical && j > 0 ? year(d) : null)
+                    .attr("dx", (x, j) => j == 0 || isVertical ? "" : 3)
+                    .attr("dy", (x, j) => isVertical && j > 0 ? "1em" : null)
+            });
+    }
+
+    /**
+     * Position and minimally style year labels in SVG dom element.
+     * @param {node} domNode - d3.js SVG selection
+     */
+    configureAnnotationYears(domNode) {
+
+        let pitch = this.constructPitch();
+
+        domNode
+            .attr("class", "lgv-annotation-year")
+            .attr("text-anchor", this.orientation == "vertical" ? null : "middle")
+            .attr("transform", (d,i) => this.orientation == "vertical" ?
+                `translate(${i * pitch.year},0)` :
+                `translate(0,${(i * pitch.year) + ((pitch.year - this.bandGap) / 2)}) rotate(-90)`)
+            .text(d => d);
+    }
+
+    /**
+     * Position and minimally style caption in SVG dom element.
+     * @param {node} domNode - d3.js SVG selection
+     */
+    configureCaption(domNode) {
+        domNode
+            .attr("class", "lgv-caption")
+            .attr("x", this.paddingSide)
+            .attr("y", this.height - (this.artboardUnit * 0.5))
+            .text(d => typeof this.caption == "function" ? this.caption(d) : this.formatCaption(d));
+    }
+
+    /**
+     * Draw activity cells to canvas and hit-test pointer events against the layout.
+     * @param {node} domNode - d3.js selection of the canvas
+     */
+    configureCellCanvas(domNode) {
+
+        let canvas = domNode.node();
+
+        // cells are drawn as Path2D so a DOM without it, e.g. jsdom, only gets hit-testing
+        let context = typeof Path2D !== "undefined" && canvas.getContext ? canvas.getContext("2d") : null;
+
+        // cell events carry the same detail as the svg renderer
+        let hover = (e, d) => {
+            if (this.cellHovered && this.cellHovered !== d) this.dispatchCellEvent("cellmouseout", e, this.cellHovered);
+            if (d && this.cellHovered !== d) this.dispatchCellEvent("cellmouseover", e, d);
+            this.cellHovered = d;
+        };
+        let hit = e => this.cellAtEvent(e);
+
+        domNode
+            .on("mousemove", e => hover(e, hit(e)))
+            .on("mouseleave", e => hover(e, null))
+            .on("click", e => {
+                let d = hit(e);
+                if (d) {
+                    this.dispatchCellEvent("cellclick", e, d);
+                    this.dispatchCellEvent("cellselect", e, d);
+                }
+            })
+            .on("touchstart", e => {
+                let d = hit(e);
+                if (d) this.dispatchCellEvent("celltouch", e, d);
+            }, { passive: true });
+
+        if (!context) return;
+
+        let thresholds = new Map(this.activityTypes.map(d => [d, this.constructThreshold(d)]));
+        let colors = this.constructThresholdColors();
+        let isOff = this.offDaysMode == "dim" ? this.constructOffDays() : () => false;
+        let shape = constructCellShape(this.cellShape);
+        let gap = this.constructCellGap();
+        let ratio = canvas.width / parseFloat(domNode.attr("data-width"));
+
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, canvas.width, canvas.height);
+
+        (this.dataCells || [])
+            .filter(d => !this.visibleTypes || this.visibleTypes.includes(d[2]))
+            .forEach(d => {
+                let level = thresholds.get(d[2])(d[1]);
+                context.fillStyle = this.palettes[d[2]] ? this.palettes[d[2]][level - 1] : colors[level - 1];
+                context.globalAlpha = isOff(d[0]) ? 0.5 : 1;
+                context.fill(new Path2D(this.constructCellPath(d, shape, gap).toString()));
+            });
+
+    }
+
+    /**
+     * Position and minimally style activity cell shapes in SVG dom element.
+     * @param {node} domNode - d3.js SVG selection
+     */
+    configureCellShapes(domNode) {
+
+        // have to reassign color function or the this conflicts inside the accessor
+        let thresholds = new Map(this.activityTypes.map(d => [d, this.constructThreshold(d)]));
+        let threshold = d => thresholds.get(d[2])(d[1]);
+
+        // shape generator for each activity type within a cell
+        let shape = constructCellShape(this.cellShape);
+        let gap = this.constructCellGap();
+
+        // stylesheet levels are resolved to colors while animating so fills can interpolate
+        let isAnimated = this.constructTransitionDuration() > 0;
+        let colors = isAnimated ? this.constructThresholdColors() : [];
+        let isStyled = d => !this.palettes[d[2]];
+        let fill = (d, level) => isStyled(d) ? colors[level - 1] || null : this.palettes[d[2]][level - 1];
+
+        // start from the level drawn so far
+        if (isAnimated) {
+            domNode
+                .filter(isStyled)
+                .attr("fill", (d, i, nodes) => nodes[i].getAttribute("fill") || fill(d, nodes[i].getAttribute("data-cell-threshold") || threshold(d)));
+        }
+
+        domNode
+            .attr("class", "lgv-cell")
+            .attr("data-cell-date", d => d[0])
+            .attr("data-cell-threshold", d => threshold(d))
+            .attr("data-cell-type", d => d[2])
+            .attr("data-cell-value", d => d[1])
+            .on("mouseover", (e,d) => this.dispatchCellEvent("cellmouseover", e, d))
+            .on("mouseout", (e,d) => this.dispatchCellEvent("cellmouseout", e, d))
+            .on("click", (e,d) => {
+                this.dispatchCellEvent("cellclick", e, d);
+                this.dispatchCellEvent("cellselect", e, d);
+            })
+
+            // focus/keyboard events need the tabindex set in accessible mode
+            .on("focus", (e,d) => {
+                this.cellFocused = `${d[0]}-${d[2]}`;
+                this.dispatchCellEvent("cellfocus", e, d);
+            })
+            .on("blur", (e,d) => this.dispatchCellEvent("cellblur", e, d))
+            .on("touchstart", (e,d) => this.dispatchCellEvent("celltouch", e, d), { passive: true })
+            .on("keydown", (e,d) => {
+
+                // enter/space select the focused cell like a click
+                if (e.key == "Enter" || e.key == " ") {
+                    e.preventDefault();
+                    this.dispatchCellEvent("cellselect", e, d);
+                }
+
+                // arrow/home/end move focus across the grid
+                if (this.accessible && ["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Home", "End"].includes(e.key)) {
+                    e.preventDefault();
+                    this.focusCell(this.navigateCell(d, e.key));
+                }
+
+            });
+
+        // fill/shape interpolate from their previous values when transitions are on
+        let transition = this.constructTransition(domNode)
+            .attr("fill", d => fill(d, threshold(d)))
+            .attr("d", d => this.constructCellPath(d, shape, gap))
+            .attr("opacity", isAnimated ? 1 : null);
+
+        // settled cells hand their fill back to the stylesheet
+        if (isAnimated) transition.on("end.fill", (d, i, nodes) => {
+            if (isStyled(d)) nodes[i].removeAttribute("fill");
+        });
+    }
+
+    /**
+     * Label visualization and cells for assistive technology.
+     * @param {node} domNode - d3.js SVG selection of cells
+     */
+    configureAccessibility(domNode) {
+
+        let summary = this.constructSummary();
+
+        // cell which keeps its place in the tab order across renders
+        let focused = (this.dataCells || []).find(d => `${d[0]}-${d[2]}` == this.cellFocused) || (this.dataCells || [])[0];
+
+        this.artboard
+            .attr("role", "grid")
+            .attr("aria-label", summary);
+
+        // svg title/description read by screen readers
+        this.artboard
+            .selectAll(":scope > title, :scope > desc")
+            .data(["desc", "title"], d => d)
+            .join(
+                enter => enter.append(d => this.artboard.node().ownerDocument.createElementNS("http://www.w3.org/2000/svg", d)),
+                update => update,
+                exit => exit.remove()
+            )
+            .text(d => d == "title" ? "Activity calendar" : summary)
+            .lower();
+
+        // annotations are repeated in the cell labels
+        this.artboard
+            .selectAll(".lgv-annotation-days-of-week, .lgv-annotation-months-of-year, .lgv-legend, .lgv-marginals")
+            .attr("aria-hidden", "true");
+
+        this.containerCalendar.attr("role", "rowgroup");
+
+        // one row per weekday, or per week in the vertical orientation
+        let band = d => this.cellShape == "multiples" ? this.activityTypes.indexOf(d[2]) : 0;
+        let rowOf = d => this.orientation == "vertical" ?
+            [this.calendarLayout.band(d[0]), this.calendarLayout.column(d[0])] :
+            [this.calendarLayout.band(d[0]), band(d), this.calendarLayout.row(d[0])];
+        let byRow = (a, b) => {
+            let i = a[0].findIndex((x, j) => x != b[0][j]);
+            return i < 0 ? 0 : a[0][i] - b[0][i];
+        };
+
+        // cells within a row in reading order
+        let cells = domNode.data().sort((a, b) => a[0].localeCompare(b[0]) || this.activityTypes.indexOf(a[2]) - this.activityTypes.indexOf(b[2]));
+        let nodes = new Map();
+
+        domNode.each((d, i, n) => nodes.set(d, n[i]));
+
+        this.containerCalendar
+            .selectAll(".lgv-row")
+            .data(groups(cells, d => rowOf(d).join("-")).map(d => [rowOf(d[1][0]), d[1]]).sort(byRow), d => d[0].join("-"))
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-row")
+            .attr("role", "row")
+            .order()
+            .each((d, i, n) => d[1].forEach(x => n[i].appendChild(nodes.get(x))));
+
+        domNode
+            .attr("role", "gridcell")
+            .attr("tabindex", d => d === focused ? 0 : -1)
+            .attr("aria-label", d => this.accessibleLabel(d[0], d[1], d[2]))
+            .each((d, i, nodes) => {
+                select(nodes[i])
+                    .selectAll("title")
+                    .data([d])
+                    .join(
+                        enter => enter.append("title"),
+                        update => update,
+                        exit => exit.remove()
+                    )
+                    .text(x => this.accessibleLabel(x[0], x[1], x[2]));
+            });
+
+    }
+
+    /**
+     * Mark highlighted cells and dim the rest while a highlight is set.
+     * Off days are faded less than cells dimmed by a highlight.
+     */
+    configureHighlight() {
+
+        if (!this.artboard) return;
+
+        let isHighlighted = d => this.highlightPredicate ? Boolean(this.highlightPredicate(d[0], d[1], d[2])) : false;
+        let isDimmed = d => this.highlightPredicate ? !isHighlighted(d) : false;
+        let isOff = this.offDaysMode == "dim" ? this.constructOffDays() : () => false;
+
+        this.containerCalendar
+            .selectAll(".lgv-cell")
+            .classed("lgv-cell-highlighted", isHighlighted)
+            .classed("lgv-cell-dimmed", isDimmed)
+            .classed("lgv-cell-off", d => isOff(d[0]))
+            .attr("fill-opacity", d => isDimmed(d) ? 0.25 : (isOff(d[0]) ? 0.5 : null));
+
+    }
+
+    /**
+     * Position and minimally style legend activity types in SVG dom element.
+     * @param {node} domNode - d3.js SVG selection
+     */
+    configureLegendTypes(domNode) {
+
+        let legend = this.constructLegendLayout();
+        let shape = constructCellShape(this.cellShape);
+
+        domNode
+            .attr("class", "lgv-legend-type")
+            .attr("data-cell-type", d => d)
+            .attr("transform", (d, i) => `translate(${i * legend.typeWidth},0)`)
+            .each((d, i, nodes) => {
+
+                // swatch drawn with the same shape as the cells of this type
+                select(nodes[i])
+                    .selectAll(".lgv-legend-swatch")
+                    .data([d])
+                    .join(
+                        enter => enter.append("path"),
+                        update => update,
+                        exit => exit.remove()
+                    )
+                    .attr("class", "lgv-legend-swatch")
+                    .attr("d", x => shape({ left: 0, top: 0, right: legend.swatchSize, bottom: legend.swatchSize }, this.activityTypes.indexOf(x), this.activityTypes.length));
+
+                // type label
+                select(nodes[i])
+                    .selectAll(".lgv-legend-label")
+                    .data([d])
+                    .join(
+                        enter => enter.append("text"),
+                        update => update,
+                        exit => exit.remove()
+                    )
+                    .attr("class", "lgv-legend-label")
+                    .attr("x", legend.swatchSize + (this.artboardUnit * 0.25))
+                    .attr("y", legend.swatchSize)
+                    .text(x => x);
+
+            });
+
+    }
+
+    /**
+     * Position and minimally style legend threshold rows in SVG dom element.
+     * @param {node} domNode - d3.js SVG selection
+     */
+    configureLegendThresholds(domNode) {
+
+        let legend = this.constructLegendLayout();
+
+        domNode
+            .attr("class", "lgv-legend-threshold")
+            .attr("data-cell-type", d => d.type)
+            .attr("transform", (d, i) => `translate(0,${i * legend.rowHeight})`)
+            .each((d, i, nodes) => {
+
+                let row = select(nodes[i]);
+
+                // optional type prefix when each type has its own threshold
+                let offset = d.type === null ? 0 : legend.typeWidth;
+
+                row.selectAll(".lgv-legend-type")
+                    .data(d.type === null ? [] : [d.type])
+                    .join(
+                        enter => enter.append("g"),
+                        update => update,
+                        exit => exit.remove()
+                    )
+                    .call(x => this.configureLegendTypes(x));
+
+                // less -> more labels either side of the swatches
+                row.selectAll(".lgv-legend-label")
+                    .data(["Less", "More"])
+                    .join(
+                        enter => enter.append("text"),
+                        update => update,
+                        exit => exit.remove()
+                    )
+                    .attr("class", "lgv-legend-label")
+                    .attr("x", (x, j) => offset + (j == 0 ? 0 : legend.labelWidth + (d.threshold.range().length * legend.swatchStep)))
+                    .attr("y", legend.swatchSize)
+                    .text(x => x);
+
+                // one swatch per threshold level
+                row.selectAll(".lgv-legend-level")
+                    .data(d.threshold.range())
+                    .join(
+                        enter => enter.append("g"),
+                        update => update,
+                        exit => exit.remove()
+                    )
+                    .attr("class", "lgv-legend-level")
+                    .attr("transform", (x, j) => `translate(${offset + legend.labelWidth + (j * legend.swatchStep)},0)`)
+                    .each((x, j, levels) => {
+
+                        select(levels[j])
+                            .selectAll(".lgv-legend-swatch")
+                            .data([x])
+                            .join(
+                                enter => enter.append("rect"),
+                                update => update,
+                                exit => exit.remove()
+                            )
+                            .attr("class", "lgv-legend-swatch")
+                            .attr("data-cell-threshold", y => y)
+                            .attr("fill", y => d.type !== null && this.palettes[d.type] ? this.palettes[d.type][y - 1] : null)
+                            .attr("height", legend.swatchSize)
+                            .attr("width", legend.swatchSize);
+
+                        select(levels[j])
+                            .selectAll(".lgv-legend-range")
+                            .data([x])
+                            .join(
+                                enter => enter.append("text"),
+                                update => update,
+                                exit => exit.remove()
+                            )
+                            .attr("class", "lgv-legend-range")
+                            .attr("y", legend.swatchSize * 2)
+                            .text(y => this.formatLegendRange(d.threshold.invertExtent(y)));
+
+                    });
+
+            });
+
+    }
+
+    /**
+     * Position and minimally style marginal bars in SVG dom element.
+     * @param {node} domNode - d3.js SVG selection
+     */
+    configureMarginals(domNode) {
+        domNode
+            .attr("class", d => `lgv-marginal-${d.kind}`)
+            .attr("data-cell-type", d => d.type)
+            .attr("data-marginal-value", d => d.value)
+            .attr("x", d => d.x)
+            .attr("y", d => d.y)
+            .attr("width", d => d.width)
+            .attr("height", d => d.height)
+            .attr("fill", d => this.palettes[d.type] ? this.palettes[d.type][this.palettes[d.type].length - 1] : null);
+    }
+
+    /**
+     * Position and minimally style annotation markers in SVG dom element.
+     * Outlines and spans only catch the pointer on their stroke so the cells beneath keep their events.
+     * @param {node} domNode - d3.js SVG selection
+     */
+    configureMarkers(domNode) {
+
+        domNode
+            .attr("class", "lgv-marker")
+            .attr("data-marker-kind", d => d.kind)
+            .attr("data-marker-mark", d => d.mark)
+            .on("mouseenter", (e,d) => this.dispatchMarkerEvent("markermouseover", e, d))
+            .on("mouseleave", (e,d) => this.dispatchMarkerEvent("markermouseout", e, d))
+            .each((d, i, nodes) => {
+
+                // one shape per day, or per week for spans
+                select(nodes[i])
+                    .selectAll("path")
+                    .data(this.constructMarkerPaths(d))
+                    .join(
+                        enter => enter.append("path"),
+                        update => update,
+                        exit => exit.remove()
+                    )
+                    .attr("d", x => x)
+                    .attr("fill", d.mark == "outline" ? "none" : "currentColor")
+                    .attr("fill-opacity", d.mark == "span" ? 0.15 : null)
+                    .attr("stroke", d.mark == "dot" ? "none" : "currentColor")
+                    .attr("pointer-events", d.mark == "dot" ? null : "stroke");
+
+                // label read on hover and by screen readers
+                select(nodes[i])
+                    .selectAll("title")
+                    .data(d.label ? [d.label] : [])
+                    .join(
+                        enter => enter.append("title"),
+                        update => update,
+                        exit => exit.remove()
+                    )
+                    .text(x => x);
+
+            });
+
+    }
+
+    /**
+     * Mark selected cells.
+     */
+    configureSelectedCells() {
+
+        if (!this.artboard) return;
+
+        let selected = new Set(this.selectedDates);
+
+        this.containerCalendar
+            .selectAll(".lgv-cell")
+            .classed("lgv-cell-selected", d => selected.has(d[0]));
+
+    }
+
+    /**
+     * Wire selection gestures and mark selected cells.
+     * Pressing a cell selects its day, shift extends from the last selected day, dragging selects the days in between and labels select their month or weekday.
+     */
+    configureSelection() {
+
+        this.configureSelectedCells();
+
+        if (!this.selectable) return;
+
+        this.containerCalendar
+            .selectAll(".lgv-cell")
+            .on("mousedown.select", (e,d) => {
+
+                // shift extends from the previous anchor
+                if (!e.shiftKey || !this.selectionAnchor) this.selectionAnchor = d[0];
+
+                // update self
+                this.selectionDrag = true;
+
+                this.selectRange(this.selectionAnchor, d[0], false);
+
+            })
+            .on("mouseover.select", (e,d) => {
+                if (this.selectionDrag) this.selectRange(this.selectionAnchor, d[0], false);
+            })
+            .on("keydown.select", (e,d) => {
+                if (e.key == "Enter" || e.key == " ") {
+                    if (!e.shiftKey || !this.selectionAnchor) this.selectionAnchor = d[0];
+                    this.selectRange(this.selectionAnchor, d[0]);
+                }
+            });
+
+        // releasing the pointer anywhere on the artboard ends the drag
+        this.artboard.on("mouseup.select mouseleave.select", () => {
+            if (this.selectionDrag) {
+                this.selectionDrag = false;
+                this.dispatchSelectionEvent(this.selectedDates.length == 1 ? "day" : "range");
+            }
+        });
+
+        // month labels select their days
+        this.containerWeeksOfYear
+            .selectAll(".lgv-annotation-month")
+            .on("click.select", (e,d) => this.selectMonth(d));
+
+        // weekday labels repeat per band so the row is the position within a band
+        let days = this.containerDaysOfWeek.selectAll(".lgv-annotation-day");
+        let nodes = days.nodes();
+
+        days.on("click.select", e => this.selectWeekday(nodes.indexOf(e.currentTarget) % this.weekdays.length));
+
+    }
+
+    /**
+     * Hide cells and legend entries of activity types which are not visible.
+     */
+    configureVisibleTypes() {
+
+        if (!this.artboard) return;
+
+        let isHidden = d => this.visibleTypes ? !this.visibleTypes.includes(d) : false;
+
+        this.containerCalendar
+            .selectAll(".lgv-cell")
+            .classed("lgv-cell-hidden", d => isHidden(d[2]))
+            .attr("display", d => isHidden(d[2]) ? "none" : null);
+
+        this.containerLegend
+            .selectAll(".lgv-legend-type")
+            .classed("lgv-legend-type-hidden", d => isHidden(d));
+
+    }
+
+    /**
+     * Construct base unit of measure from the font size of the container, or the document body before render.
+     * @returns A number of pixels.
+     */
+    constructArtboardUnit() {
+
+        // no styles to measure outside the browser
+        if (typeof window === "undefined") return 16;
+
+        let node = this.container ? this.container.node() : document.body;
+
+        return parseFloat(getComputedStyle(node).fontSize) || 16;
+
+    }
+
+    /**
+     * Construct space between cells.
+     * @returns A number of pixels.
+     */
+    constructCellGap() {
+        return this.cellGap === undefined || this.cellGap === null ? this.artboardUnit * 0.15 : this.cellGap;
+    }
+
+    /**
+     * Construct outline of a cell.
+     * @param {array} d - cell datum where 0 == iso date value, 1 == value, 2 == activity type
+     * @param {function} shape - cell shape generator
+     * @param {number} gap - space between cells in pixels
+     * @returns A d3-path.
+     */
+    constructCellPath(d, shape, gap) {
+
+        // determine where in the grid the date is
+        let i = this.activityTypes.indexOf(d[2]);
+        let [left, top] = this.constructCellPosition(d[0], this.cellShape == "multiples" ? i : 0);
+
+        // -value to generate padding around cell
+        let right = left + (this.cellWidth - gap);
+        let bottom = top + (this.cellHeight - gap);
+
+        return shape({ left, top, right, bottom }, i, this.activityTypes.length);
+
+    }
+
+    /**
+     * Construct position of a day in the calendar.
+     * @param {string} date - iso 8601 date value
+     * @param {integer} band - activity type band for small multiples otherwise 0
+     * @returns An array where 0 == left, 1 == top in pixels.
+     */
+    constructCellPosition(date, band=0) {
+
+        let pitch = this.constructPitch();
+        let week = this.calendarLayout.column(date) * pitch.week;
+        let day = (this.calendarLayout.band(date) * pitch.year) + (((band * this.weekdays.length) + this.calendarLayout.row(date)) * pitch.day);
+
+        return this.orientation == "vertical" ? [day, week] : [week, day];
+
+    }
+
+    /**
+     * Resolve the date range drawn.
+     * Explicit dates win over the range preset which wins over the extent of the data.
+     * @returns An array where 0 == first iso 8601 date value, 1 == last iso 8601 date value.
+     */
+    constructDateRange() {
+
+        let today = this.today();
+        let days = this.dataAggregateDays ? Array.from(this.dataAggregateDays.keys()).sort() : [];
+        let preset = [days[0], days[days.length - 1]];
+
+        // last n days ending today
+        if (this.range && this.range.last !== undefined) {
+
+            if (!(parseInt(this.range.last) > 0)) throw new Error(`Invalid range preset last "${this.range.last}", expected a positive number of days`);
+
+            preset = [this.dateAdapter.addDays(today, 1 - parseInt(this.range.last)), today];
+
+        // calendar year
+        } else if (this.range && this.range.year !== undefined) {
+
+            let year = String(this.range.year).padStart(4, "0");
+
+            preset = [`${year}-01-01`, `${year}-12-31`];
+
+        } else if (this.range) {
+
+            throw new Error(`Invalid range preset ${JSON.stringify(this.range)}, expected {last: days} or {year: integer}`);
+
+        }
+
+        // explicit dates take precedence
+        let range = [["dateStart", this.dateStart, preset[0]], ["dateEnd", this.dateEnd, preset[1]]].map(([name, value, fallback]) => {
+
+            let result = fallback;
+
+            if (value !== undefined && value !== null) {
+                try {
+                    result = this.dayOf(value);
+                } catch (error) {
+                    result = String(value);
+                }
+            }
+
+            // verify usable date
+            if (result === undefined) throw new Error(`No ${name} given and no data to derive it from`);
+            if (!this.dateAdapter.isValid(result)) throw new Error(`Invalid ${name} "${value}", expected an iso 8601 date, timestamp or Date`);
+
+            return result;
+
+        });
+
+        // verify order
+        if (this.dateAdapter.daysBetween(range[0], range[1]) < 0) throw new Error(`Reversed date range, dateStart ${range[0]} is after dateEnd ${range[1]}`);
+
+        return range;
+
+    }
+
+    /**
+     * Construct aggregated values of a day.
+     * @param {string} date - iso 8601 date value
+     * @param {function} aggregate - function(records, valueAccessor) returning a single value
+     * @returns A Map where each key is an activity type and corresponding value is its aggregated value.
+     */
+    constructDayAggregate(date, aggregate) {
+        return new Map(Array.from(this.dataRecordsDays.get(date), ([type, records]) => [type, aggregate(records, this.valueAccessor)]));
+    }
+
+    /**
+     * Construct event detail for a cell.
+     * @param {event} e - DOM event triggered on cell
+     * @param {array} d - cell datum where 0 == iso date value, 1 == value, 2 == activity type
+     * @returns An object with date, threshold, timeZone, type, value and xy keys.
+     */
+    constructEventDetail(e, d) {
+
+        // touch events carry the pointer on the touch point
+        let pointer = e.touches && e.touches.length > 0 ? e.touches[0] : e;
+
+        let x = pointer.clientX;
+        let y = pointer.clientY;
+
+        // focus/keyboard events have no pointer so use the cell position
+        if (x === undefined && e.target && e.target.getBoundingClientRect) {
+            let bounds = e.target.getBoundingClientRect();
+            x = bounds.right;
+            y = bounds.top;
+        }
+
+        return {
+            date: d[0],
+            threshold: e.target && e.target.dataset && e.target.dataset.cellThreshold ? e.target.dataset.cellThreshold : String(this.constructThreshold(d[2])(d[1])),
+            timeZone: this.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            type: d[2],
+            value: d[1],
+            xy: [(x || 0) + this.artboardUnit, (y || 0) + this.artboardUnit]
+        };
+
+    }
+
+    /**
+     * Construct legend dimensions and content.
+     * @returns An object with rows of type/threshold pairs, whether to list activity types separately and sizes in pixels.
+     */
+    constructLegendLayout() {
+
+        // types with their own domain or palette each need their own row of swatches
+        let isPerType = this.thresholdDomain == "type" || Object.keys(this.palettes).length > 0;
+
+        let rows = isPerType ?
+            this.activityTypes.map(d => ({ threshold: this.constructThreshold(d), type: d })) :
+            [{ threshold: this.constructThreshold(), type: null }];
+
+        let levels = rows.length > 0 ? rows[0].threshold.range().length : 0;
+
+        let labelWidth = this.artboardUnit * 2.5;
+        let rowHeight = this.artboardUnit * 2.5;
+        let swatchSize = this.artboardUnit;
+        let swatchStep = this.artboardUnit * 3;
+        let typeWidth = this.artboardUnit * 6;
+
+        // shared threshold lists types on a row of their own
+        let showTypes = !isPerType && this.activityTypes.length > 0;
+
+        return {
+            height: (rows.length + (showTypes ? 1 : 0)) * rowHeight,
+            labelWidth: labelWidth,
+            rowHeight: rowHeight,
+            rows: rows,
+            showTypes: showTypes,
+            swatchSize: swatchSize,
+            swatchStep: swatchStep,
+            typeWidth: typeWidth,
+            width: Math.max(
+                (isPerType ? typeWidth : 0) + (labelWidth * 2) + (levels * swatchStep),
+                showTypes ? this.activityTypes.length * typeWidth : 0
+            )
+        };
+
+    }
+
+    /**
+     * Construct bars of the marginal charts.
+     * Weekday bars sit past the end of the week axis, one per weekday row of every band.
+     * Week bars sit past the end of the weekday axis, one per week column stacked by activity type, so year rows combine into the same column.
+     * @returns An array of objects with kind, type, value, x, y, width and height keys.
+     */
+    constructMarginals() {
+
+        // nothing laid out
+        if (!this.marginals || !this.calendarLayout) return [];
+
+        let isVertical = this.orientation == "vertical";
+        let isMultiples = this.cellShape == "multiples";
+        let pitch = this.constructPitch();
+        let gap = this.constructCellGap();
+        let cells = this.dataCells || [];
+        let length = this.marginalSize - (this.artboardUnit * 0.5);
+
+        // grid ends along the week and weekday axes
+        let weekEnd = this.weekIndicies.length * pitch.week;
+        let dayEnd = (this.calendarLayout.bands() * pitch.year) - this.bandGap;
+
+        // offset along the weekday axis of each row, in every year and type band
+        let weekdays = rollup(cells, v => sum(v, d => d[1]), d => this.constructCellPosition(d[0], isMultiples ? this.activityTypes.indexOf(d[2]) : 0)[isVertical ? 0 : 1]);
+        let weeks = rollup(cells, v => sum(v, d => d[1]), d => this.calendarLayout.column(d[0]), d => d[2]);
+
+        let weekdayMax = Math.max(...weekdays.values(), 0);
+        let weekMax = Math.max(...Array.from(weeks.values(), d => sum(d.values())), 0);
+
+        // bar along one axis at an offset on the other, swapped when vertical
+        let bar = (kind, type, value, offset, thickness, start, size) => {
+            let [x, y, width, height] = isVertical != (kind == "week") ? [offset, start, thickness, size] : [start, offset, size, thickness];
+            return { height, kind, type, value, width, x, y };
+        };
+
+        let weekdayBars = Array.from(weekdays, ([offset, value]) => bar("weekday", null, value, offset, pitch.day - gap, weekEnd + (this.artboardUnit * 0.5), weekdayMax ? (value / weekdayMax) * length : 0));
+
+        // types stack in legend order
+        let weekBars = Array.from(weeks, ([column, types]) => {
+
+            let start = dayEnd + (this.artboardUnit * 0.5);
+
+            return this.activityTypes.filter(d => types.has(d)).map(d => {
+                let size = weekMax ? (types.get(d) / weekMax) * length : 0;
+                let result = bar("week", d, types.get(d), column * pitch.week, pitch.week - gap, start, size);
+                start += size;
+                return result;
+            });
+
+        }).flat();
+
+        return weekdayBars.concat(weekBars);
+
+    }
+
+    /**
+     * Construct shapes of an annotation marker.
+     * @param {object} marker - annotation with dates and mark keys
+     * @returns An array of d3-paths, repeated in every band for small multiples.
+     */
+    constructMarkerPaths(marker) {
+
+        let gap = this.constructCellGap();
+        let bands = this.cellShape == "multiples" ? Math.max(this.activityTypes.length, 1) : 1;
+
+        // cell bounds of a day in a band
+        let bounds = (date, band) => {
+            let [left, top] = this.constructCellPosition(date, band);
+            return { left, top, right: left + this.cellWidth - gap, bottom: top + this.cellHeight - gap };
+        };
+
+        // spans shade the days of each week they cover as one block
+        let days = marker.mark == "span" ?
+            groups(marker.dates, d => `${this.calendarLayout.band(d)}-${this.calendarLayout.column(d)}`).map(d => [d[1][0], d[1][d[1].length - 1]]) :
+            marker.dates.map(d => [d, d]);
+
+        return Array.from({ length: bands }, (x, band) => days.map(([first, last]) => {
+
+            let a = bounds(first, band);
+            let b = bounds(last, band);
+            let p = path();
+
+            if (marker.mark == "dot") {
+                let r = Math.min(a.right - a.left, a.bottom - a.top) / 5;
+                p.moveTo(((a.left + a.right) / 2) + r, (a.top + a.bottom) / 2);
+                p.arc((a.left + a.right) / 2, (a.top + a.bottom) / 2, r, 0, Math.PI * 2);
+            } else {
+                p.rect(Math.min(a.left, b.left), Math.min(a.top, b.top), Math.max(a.right, b.right) - Math.min(a.left, b.left), Math.max(a.bottom, b.bottom) - Math.min(a.top, b.top));
+            }
+
+            return p;
+
+        })).flat();
+
+    }
+
+    /**
+     * Construct test for off days.
+     * @returns A function(date) returning true for weekends and annotated days whose kind is listed in offDays.
+     */
+    constructOffDays() {
+
+        let isWeekend = this.offDays.includes("weekend");
+
+        // days of the listed annotation kinds
+        let dates = new Set(this.extractMarkers()
+            .filter(d => this.offDays.includes(d.kind))
+            .map(d => d.dates)
+            .flat());
+
+        return date => dates.has(date) || (isWeekend && [0, 6].includes(this.dateAdapter.weekday(date)));
+
+    }
+
+    /**
+     * Construct distances between grid slots.
+     * @returns An object where day == next weekday, week == next week and year == next year band in pixels.
+     */
+    constructPitch() {
+
+        let isVertical = this.orientation == "vertical";
+        let bands = this.cellShape == "multiples" ? Math.max(this.activityTypes.length, 1) : 1;
+        let day = isVertical ? this.cellWidth : this.cellHeight;
+
+        return {
+            day: day,
+            week: isVertical ? this.cellHeight : this.cellWidth,
+            year: (this.weekdays.length * bands * day) + this.bandGap
+        };
+
+    }
+
+    /**
+     * Construct rangeselect event detail.
+     * @param {string} kind - how the days were selected: day, range, month or weekday
+     * @returns An object with dateStart, dateEnd, dates, kind and totals keys where totals are key/values of activity type and aggregated value.
+     */
+    constructSelectionDetail(kind) {
+
+        let dates = this.selectedDates;
+        let value = (date, type) => this.dataAggregateDays && this.dataAggregateDays.has(date) ? (this.dataAggregateDays.get(date).get(type) || 0) : 0;
+
+        return {
+            dateEnd: dates[dates.length - 1],
+            dateStart: dates[0],
+            dates: dates,
+            kind: kind,
+            totals: Object.fromEntries(this.activityTypes.map(type => [type, sum(dates, d => value(d, type))]))
+        };
+
+    }
+
+    /**
+     * Construct text summary of visualization.
+     * @returns A string describing date range and totals per activity type.
+     */
+    constructSummary() {
+
+        let cells = this.dataCells || [];
+        let days = new Set(cells.map(d => d[0])).size;
+
+        // total per activity type
+        let totals = this.activityTypes
+            .map(d => `${cells.filter(x => x[2] == d).reduce((a, x) => a + x[1], 0)} ${d}`)
+            .join(", ");
+
+        let format = { day: "numeric", month: "short", year: "numeric" };
+
+        // drawn range may be derived from the data
+        let range = this.calendarLayout ? [this.calendarLayout.dateStart, this.calendarLayout.dateEnd] : [this.dateStart, this.dateEnd];
+
+        return `Activity from ${this.formatDate(range[0], format)} to ${this.formatDate(range[1], format)}: ${days} days with activity${totals ? `, ${totals}` : ""}`;
+
+    }
+
+    /**
+     * Construct threshold for cell value.
+     * @param {string} key - type of activity, only used when each type is scaled on its own values
+     * @returns A d3.js scale function.
+     */
+    constructThreshold(key) {
+
+        let isPerType = this.thresholdDomain == "type" && key !== undefined;
+
+        // hidden activity types may be left out of the shared domain
+        let isCounted = d => !this.visibleTypesThreshold || !this.visibleTypes || this.visibleTypes.includes(d[2]);
+
+        // so may off days
+        let isOff = this.offDaysMode == "exclude" ? this.constructOffDays() : () => false;
+
+        // extract values pertaining to activity type
+        let values = (this.dataCells || [])
+            .filter(d => !isOff(d[0]))
+            .filter(d => isPerType ? d[2] == key : isCounted(d))
+            .map(d => d[1]);
+
+        // construct scale
+        return constructThresholdScale(this.thresholdScale, values, this.thresholdLevels, this.thresholdBreakpoints);
+
+    }
+
+    /**
+     * Construct color of each threshold level from the page stylesheet, falling back to a green ramp.
+     * @returns An array of colors from lowest to highest level.
+     */
+    constructThresholdColors() {
+
+        // every level of every activity type
+        let levels = Math.max(this.thresholdLevels, ...this.activityTypes.map(d => this.constructThreshold(d).range().length));
+        let computed = this.artboard ? extractThresholdColors(this.artboard.node(), levels) : [];
+
+        return defaultThresholdColors(levels).map((d, i) => computed[i] || d);
+
+    }
+
+    /**
+     * Construct transition for cell changes.
+     * @param {node} domNode - d3.js selection
+     * @returns A d3.js transition or the selection itself when transitions are off.
+     */
+    constructTransition(domNode) {
+
+        let duration = this.constructTransitionDuration();
+        let easing = typeof this.transitionEasing == "function" ? this.transitionEasing : easings[this.transitionEasing];
+
+        if (!easing) throw new Error(`Unknown transitionEasing "${this.transitionEasing}", expected a d3-ease function name or function`);
+
+        return duration > 0 ? domNode.transition("lgv-cell").duration(duration).ease(easing) : domNode;
+
+    }
+
+    /**
+     * Construct duration of transitions.
+     * @returns An integer of milliseconds, 0 when transitions are off or the user prefers reduced motion.
+     */
+    constructTransitionDuration() {
+
+        // respect the operating system setting
+        let isReduced = typeof window !== "undefined" && window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+        return this.transition && !isReduced ? this.transitionDuration : 0;
+
+    }
+
+    /**
+     * Normalize first day of the week.
+     * @param {integer|string} weekStart - 0 (sunday) to 6 (saturday) or an english day name
+     * @returns An integer from 0 (sunday) to 6 (saturday).
+     */
+    constructWeekStart(weekStart) {
+
+        let names = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+        let result = typeof weekStart === "string" && isNaN(weekStart) ? names.indexOf(weekStart.toLowerCase()) : parseInt(weekStart);
+
+        // verify valid day
+        if (!(result >= 0 && result <= 6)) {
+            throw new Error(`Invalid weekStart "${weekStart}", expected 0 to 6 or a day name`);
+        }
+
+        return result;
+
+    }
+
+    /**
+     * Construct localized weekday names in row order.
+     * @param {string} style - Intl weekday style: long, short or narrow
+     * @returns An array of strings starting with the configured first day of the week.
+     */
+    constructWeekdays(style) {
+
+        // 2023-01-01 is a sunday so day offsets match Date.getDay
+        return [0, 1, 2, 3, 4, 5, 6].map(d => this.formatDate(`2023-01-0${1 + ((this.weekStart + d) % 7)}`, { weekday: style }));
+
+    }
+
+    /**
+     * Get date and activity type at a point in the calendar container.
+     * @param {float} x - horizontal pixel position relative to the calendar container
+     * @param {float} y - vertical pixel position relative to the calendar container
+     * @returns An array where 0 == iso date value, 1 == activity type of the band for small multiples otherwise null; or null when outside the range.
+     */
+    dateAtPoint(x, y) {
+
+        // nothing laid out
+        if (!this.calendarLayout || !this.cellWidth || !this.cellHeight) return null;
+
+        let pitch = this.constructPitch();
+        let [week, day] = this.orientation == "vertical" ? [y, x] : [x, y];
+        let year = Math.floor(day / pitch.year);
+        let row = Math.floor((day - (year * pitch.year)) / pitch.day);
+        let band = Math.floor(row / this.weekdays.length);
+        let isMultiples = this.cellShape == "multiples";
+
+        // outside the bands
+        if (day < 0 || (isMultiples ? band >= this.activityTypes.length : band > 0)) return null;
+
+        let date = this.calendarLayout.date(Math.floor(week / pitch.week), row % this.weekdays.length, year);
+
+        return date ? [date, isMultiples ? this.activityTypes[band] : null] : null;
+
+    }
+
+    /**
+     * Get calendar day of a date or timestamp in the configured time zone.
+     * @param {string|number|Date|object} date - iso 8601 date/timestamp, epoch milliseconds, Date or object with valueOf such as a moment
+     * @returns An iso 8601 date value (YYYY-MM-DD).
+     */
+    dayOf(date) {
+        return this.dateAdapter.calendarDay(date, this.timeZone);
+    }
+
+    /**
+     * Get calendar day of an activity record in the configured time zone.
+     * @param {object} record - activity record
+     * @returns An iso 8601 date value (YYYY-MM-DD).
+     */
+    dayOfRecord(record) {
+
+        try {
+            return this.dayOf(this.dateAccessor(record));
+        } catch (error) {
+            throw new Error(`Invalid date in record ${JSON.stringify(record)}: ${error.message}`);
+        }
+
+    }
+
+    /**
+     * Remove visualization from the HTML DOM, disconnect the resize observer and unsubscribe listeners.
+     */
+    destroy() {
+
+        // stop watching the container
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        clearTimeout(this.resizeTimer);
+
+        // html overlay subscribes to calendar events
+        if (this.tooltipOverlay) this.tooltipOverlay.destroy();
+
+        // unsubscribe listeners
+        this.listeners.slice().forEach(d => this.off(d[0], d[1]));
+
+        if (this.artboard) this.artboard.remove();
+
+        // update self
+        this.artboard = null;
+        this.cellFocused = null;
+        this.cellHovered = null;
+        this.container = null;
+        this.resizeObserver = null;
+        this.resizeTimer = null;
+        this.tooltipOverlay = null;
+
+    }
+
+    /**
+     * Dispatch custom event from artboard describing a cell.
+     * @param {string} name - event name
+     * @param {event} e - DOM event triggered on cell
+     * @param {array} d - cell datum where 0 == iso date value, 1 == value, 2 == activity type
+     */
+    dispatchCellEvent(name, e, d) {
+        this.artboard.dispatch(name, {
+            bubbles: true,
+            detail: this.constructEventDetail(e, d)
+        });
+    }
+
+    /**
+     * Dispatch custom event from artboard describing an annotation marker.
+     * @param {string} name - event name
+     * @param {event} e - DOM event triggered on marker
+     * @param {object} d - annotation with dateStart, dateEnd, dates, kind, label and mark keys
+     */
+    dispatchMarkerEvent(name, e, d) {
+        this.artboard.dispatch(name, {
+            bubbles: true,
+            detail: {
+                ...d,
+                xy: [(e.clientX || 0) + this.artboardUnit, (e.clientY || 0) + this.artboardUnit]
+            }
+        });
+    }
+
+    /**
+     * Dispatch rangeselect event from artboard describing the selected days.
+     * @param {string} kind - how the days were selected: day, range, month or weekday
+     */
+    dispatchSelectionEvent(kind) {
+        this.artboard.dispatch("rangeselect", {
+            bubbles: true,
+            detail: this.constructSelectionDetail(kind)
+        });
+    }
+
+    /**
+     * Format entries to simple array filtered for key.
+     * @param {string} key - type of activity which is a key from the raw source data
+     * @returns A 1d array where 0 == iso date value, 1 == key'd value.
+     */
+    extractActivity(key) {
+
+        let result = [];
+
+        // check for valid value data
+        if (this.dataAggregateDays) {
+
+            result = Array.from(this.dataAggregateDays)
+                .map(d => [d[0], Object.fromEntries(d[1])])
+                .filter(d => Object.keys(d[1]).includes(key))
+                .map(d => [d[0], d[1][key]]);
+
+        }
+
+        return result.map(d => d.concat([key]));
+
+    }
+
+    /**
+     * Determine activity types from source data.
+     * @returns An array of strings where each is an activity type.
+     */
+    extractActivityTypes() {
+
+        // no source
+        if (!this.dataSource) return [];
+
+        // flat array derives types by grouping on the type accessor
+        if (Array.isArray(this.dataSource)) return groups(this.dataSource, this.typeAccessor).map(d => d[0]);
+
+        // keyed object is already grouped by type
+        return Object.keys(this.dataSource);
+
+    }
+
+    /**
+     * Collect cells of every activity type within the range.
+     * @returns A 1d array where 0 == iso date value, 1 == value, 2 == activity type.
+     */
+    extractCells() {
+        return this.activityTypes
+            .map(d => this.extractActivity(d))
+            .flat()
+            .filter(d => this.calendarLayout.contains(d[0]));
+    }
+
+    /**
+     * Resolve annotations to the days they cover within the range.
+     * @returns An array of objects with dateStart, dateEnd, dates, kind, label and mark keys.
+     */
+    extractMarkers() {
+
+        // nothing laid out
+        if (!this.calendarLayout) return [];
+
+        return this.annotations.map(d => {
+
+            // verify usable annotation
+            if (!d.date && !d.dateRange) throw new Error(`Invalid annotation ${JSON.stringify(d)}, expected date or dateRange`);
+
+            let [dateStart, dateEnd] = (d.dateRange || [d.date, d.date]).map(x => this.dayOf(x));
+            let mark = d.mark || (d.dateRange ? "span" : "outline");
+
+            if (!["dot", "outline", "span"].includes(mark)) throw new Error(`Invalid annotation mark "${mark}", expected outline, dot or span`);
+
+            // clip to the drawn range
+            let date = dateStart > this.calendarLayout.dateStart ? dateStart : this.calendarLayout.dateStart;
+            let dates = [];
+
+            while (date <= dateEnd && date <= this.calendarLayout.dateEnd) {
+                dates.push(date);
+                date = this.dateAdapter.addDays(date, 1);
+            }
+
+            return { dateEnd, dateStart, dates, kind: d.kind || null, label: d.label || null, mark };
+
+        }).filter(d => d.dates.length > 0);
+
+    }
+
+    /**
+     * Flatten source data into activity records.
+     * @returns An array of arrays where 0 == activity type, 1 == source record.
+     */
+    extractRecords() {
+
+        let result = [];
+
+        // flat array carries type on each record
+        if (Array.isArray(this.dataSource)) {
+
+            result = this.dataSource.map(d => [this.typeAccessor(d), d]);
+
+        } else if (this.dataSource) {
+
+            // loop through keys
+            for (const key in this.dataSource) {
+
+                // push all activity objects into single array
+                result = result.concat(this.dataSource[key].map(d => [key, d]));
+
+            }
+
+        }
+
+        return result;
+
+    }
+
+    /**
+     * Move keyboard focus to a cell using a roving tabindex.
+     * @param {array} d - cell datum where 0 == iso date value, 1 == value, 2 == activity type
+     */
+    focusCell(d) {
+
+        // nothing to move to
+        if (!d) return;
+
+        let cells = this.containerCalendar.selectAll(".lgv-cell");
+
+        // update self
+        this.cellFocused = `${d[0]}-${d[2]}`;
+
+        cells.attr("tabindex", x => x === d ? 0 : -1);
+        cells.filter(x => x === d).node().focus();
+
+    }
+
+    /**
+     * Format summary statistics for the caption.
+     * @param {object} stats - result of stats()
+     * @returns A string with the total, streaks and busiest weekday.
+     */
+    formatCaption(stats) {
+
+        let number = new Intl.NumberFormat(this.locale);
+        let days = d => `${number.format(d)} ${d == 1 ? "day" : "days"}`;
+        let result = `${number.format(stats.total)} total, longest streak ${days(stats.streaks.longest.length)}, current streak ${days(stats.streaks.current.length)}`;
+
+        // 2023-01-01 is a sunday so indicies match the weekday sums
+        if (stats.total > 0) result += `, busiest on ${this.formatDate(`2023-01-0${1 + stats.weekdays.indexOf(max(stats.weekdays))}`, { weekday: "long" })}`;
+
+        return result;
+
+    }
+
+    /**
+     * Format date for display in the configured locale.
+     * @param {string} date - iso 8601 date value
+     * @param {object} options - Intl.DateTimeFormat options
+     * @returns A string.
+     */
+    formatDate(date, options) {
+        return this.dateAdapter.format(this.dayOf(date), options, this.locale);
+    }
+
+    /**
+     * Format threshold level value range for legend.
+     * @param {array} extent - lower and upper value of a level where either may be undefined for open ended levels
+     * @returns A string describing the range.
+     */
+    formatLegendRange(extent) {
+
+        let [low, high] = extent.map(d => d === undefined || isNaN(d) ? undefined : Math.round(d * 10) / 10);
+
+        if (low === undefined && high === undefined) return "";
+        if (low === undefined) return `< ${high}`;
+        if (high === undefined) return `≥ ${low}`;
+
+        return `${low}–${high}`;
+
+    }
+
+    /**
+     * Generate chart annotations in SVG element.
+     */
+    generateAnnotations() {
+
+        // days of week
+        const daysOfWeek = this.generateDaysOfWeek(this.containerDaysOfWeek);
+        this.configureAnnotationDaysOfWeek(daysOfWeek);
+
+        // months / year
+        const month = this.generateMonths(this.containerWeeksOfYear);
+        this.configureAnnotationMonths(month);
+
+        // years
+        const year = this.generateYears(this.containerYears);
+        this.configureAnnotationYears(year);
+
+    }
+
+    /**
+     * Generate SVG artboard in the HTML DOM.
+     * @param {selection} domNode - d3 selection
+     * @returns A d3.js selection.
+     */
+    generateArtboard(domNode) {
+        return domNode
+            .selectAll("svg")
+            .data([{height: this.height, width: this.width}])
+            .join(
+                enter => enter.append("svg"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("viewBox", d => `0 0 ${d.width} ${d.height}`)
+            .attr("width", d => this.cellSize ? d.width : null)
+            .attr("height", d => this.cellSize ? d.height : null)
+            .attr("class", this.name);
+    }
+
+    /**
+     * Generate caption in SVG element.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateCaption(domNode) {
+        return domNode
+            .selectAll(".lgv-caption")
+            .data(this.caption ? [this.stats()] : [])
+            .join(
+                enter => enter.append("text"),
+                update => update,
+                exit => exit.remove()
+            );
+    }
+
+    /**
+     * Generate canvas for activity cells inside the calendar container.
+     * The canvas sits in a foreignObject so it scales with the artboard viewBox.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection of the canvas.
+     */
+    generateCellCanvas(domNode) {
+
+        let width = Math.max(this.width - this.paddingSide - this.paddingRight, 0);
+        let height = Math.max(this.height - this.paddingTop - this.paddingBottom, 0);
+        let ratio = typeof window === "undefined" ? 1 : (window.devicePixelRatio || 1);
+
+        return domNode
+            .selectAll(".lgv-cell-canvas")
+            .data([{ height, width }])
+            .join(
+                enter => enter.append("foreignObject"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-cell-canvas")
+            .attr("width", d => d.width)
+            .attr("height", d => d.height)
+            .selectAll("canvas")
+            .data(d => [d])
+            .join(
+                enter => enter.append("xhtml:canvas"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("data-width", d => d.width)
+            .attr("width", d => Math.round(d.width * ratio))
+            .attr("height", d => Math.round(d.height * ratio))
+            .style("width", "100%")
+            .style("height", "100%")
+            .style("display", "block");
+
+    }
+
+    /**
+     * Generate SVG shapes in the HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateCellShapes(domNode) {
+
+        let isAnimated = this.constructTransitionDuration() > 0;
+
+        return domNode
+            .selectAll(".lgv-cell")
+            .data(this.dataCells || [], d => `${d[0]}-${d[2]}`)
+            .join(
+                enter => enter.append("path").attr("opacity", isAnimated ? 0 : null),
+                update => update,
+
+                // exiting cells fade out without being selected as cells again
+                exit => this.constructTransition(exit.attr("class", "lgv-cell-exit").attr("pointer-events", "none"))
+                    .attr("opacity", 0)
+                    .remove()
+            );
+
+    }
+
+    /**
+     * Generate SVG text elements in the HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateDaysOfWeek(domNode) {
+
+        let days = this.weekdays && this.weekdays.length > 0 ? this.constructWeekdays("narrow") : [];
+
+        // small multiples label each activity type band
+        let bands = this.cellShape == "multiples" && this.activityTypes.length > 0 ? this.activityTypes.map(() => days).flat() : days;
+
+        // year rows label each year band
+        let years = this.calendarLayout ? Array.from({ length: this.calendarLayout.bands() }, () => bands).flat() : bands;
+
+        return domNode
+            .selectAll(".lgv-annotation-day")
+            .data(years)
+            .join(
+                enter => enter.append("text"),
+                update => update,
+                exit => exit.remove()
+            );
+    }
+
+    /**
+     * Re-render only what incremental data changes touched.
+     * The grid is rebuilt when the range moves or activity types change, otherwise only cells on changed days are re-joined unless the thresholds moved.
+     * @param {Set} days - iso 8601 date values which changed, null when nothing is conditioned yet
+     * @param {boolean} isTypesChanged - activity types were added or removed
+     * @returns The ActivityCalendar instance for chaining.
+     */
+    generateIncrement(days, isTypesChanged=false) {
+
+        // nothing drawn yet
+        if (!this.artboard) return this;
+
+        // first records of an empty chart
+        if (!days) {
+            this.generateVisualization();
+            return this;
+        }
+
+        let [dateStart, dateEnd] = this.constructDateRange();
+
+        // sliding window or data extent moved
+        if (isTypesChanged || dateStart != this.calendarLayout.dateStart || dateEnd != this.calendarLayout.dateEnd) {
+            this.grid;
+            this.generateVisualization(true);
+            return this;
+        }
+
+        // canvas redraws every cell anyway
+        if (this.renderer == "canvas") {
+            this.dataCells = this.extractCells();
+            this.configureCellCanvas(this.generateCellCanvas(this.containerCalendar));
+            this.configureCaption(this.generateCaption(this.artboard));
+            this.configureMarginals(this.generateMarginals(this.containerMarginals));
+            return this;
+        }
+
+        let signature = () => JSON.stringify(this.activityTypes.map(d => {
+            let threshold = this.constructThreshold(d);
+            return [threshold.domain(), threshold.range()];
+        }));
+        let before = signature();
+
+        // update self
+        this.dataCells = this.extractCells();
+
+        let isThresholdChanged = signature() != before;
+
+        // keyed join only enters/exits cells of changed days
+        const cells = this.generateCellShapes(this.containerCalendar);
+
+        this.configureCellShapes(isThresholdChanged ? cells : cells.filter(d => days.has(d[0])));
+        if (isThresholdChanged) this.generateLegend();
+        if (this.accessible) this.configureAccessibility(cells);
+
+        // totals, streaks and marginal bars follow the data
+        this.configureCaption(this.generateCaption(this.artboard));
+        this.configureMarginals(this.generateMarginals(this.containerMarginals));
+
+        // keep selection, highlight and hidden types on new cells
+        this.configureSelection();
+        this.configureHighlight();
+        this.configureVisibleTypes();
+
+        return this;
+
+    }
+
+    /**
+     * Generate legend in SVG element.
+     */
+    generateLegend() {
+
+        let legend = this.constructLegendLayout();
+
+        // less -> more threshold swatches
+        const thresholds = this.generateLegendThresholds(this.containerLegend, legend.rows);
+        this.configureLegendThresholds(thresholds);
+
+        // activity type swatches below the shared threshold
+        const typesGroup = this.containerLegend
+            .selectAll(".lgv-legend-types")
+            .data(legend.showTypes ? [this.activityTypes] : [])
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-legend-types")
+            .attr("transform", `translate(0,${legend.rows.length * legend.rowHeight})`);
+
+        const types = this.generateLegendTypes(typesGroup);
+        this.configureLegendTypes(types);
+
+    }
+
+    /**
+     * Generate SVG groups for legend threshold rows in the HTML DOM.
+     * @param {node} domNode - HTML node
+     * @param {array} rows - objects with type and threshold keys
+     * @returns A d3.js selection.
+     */
+    generateLegendThresholds(domNode, rows) {
+        return domNode
+            .selectAll(".lgv-legend-threshold")
+            .data(rows)
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            );
+    }
+
+    /**
+     * Generate SVG groups for legend activity types in the HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateLegendTypes(domNode) {
+        return domNode
+            .selectAll(".lgv-legend-type")
+            .data(d => d)
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            );
+    }
+
+    /**
+     * Generate SVG rects for marginal bars in the HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateMarginals(domNode) {
+        return domNode
+            .selectAll("rect")
+            .data(this.constructMarginals())
+            .join(
+                enter => enter.append("rect"),
+                update => update,
+                exit => exit.remove()
+            );
+    }
+
+    /**
+     * Generate SVG groups for annotation markers in the HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateMarkers(domNode) {
+        return domNode
+            .selectAll(".lgv-marker")
+            .data(this.extractMarkers())
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            );
+    }
+
+    /**
+     * Generate SVG text elements in the HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateMonths(domNode) {
+        return domNode
+            .selectAll(".lgv-annotation-month")
+            .data(this.months ? this.months : [])
+            .join(
+                enter => enter.append("text"),
+                update => update,
+                exit => exit.remove()
+            )
+    }
+
+    /**
+     * Generate year labels in SVG element.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateYears(domNode) {
+        return domNode
+            .selectAll(".lgv-annotation-year")
+            .data(this.yearRows && this.years ? this.years : [])
+            .join(
+                enter => enter.append("text"),
+                update => update,
+                exit => exit.remove()
+            )
+    }
+
+    /**
+     * Generate top-level logical groupings.
+     */
+    generateContainers() {
+
+        let isVertical = this.orientation == "vertical";
+
+        // days of week container
+        this.containerDaysOfWeek = this.artboard
+            .selectAll(".lgv-annotation-days-of-week")
+            .data(d => [d])
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-annotation-days-of-week")
+            .attr("transform", isVertical ?
+                `translate(${this.paddingSide},${this.paddingTop - this.artboardUnit * 0.5})` :
+                `translate(${this.yearRows ? this.artboardUnit * 1.75 : 0},${this.paddingTop + this.artboardUnit})`);
+
+        // month of year container
+        this.containerWeeksOfYear = this.artboard
+            .selectAll(".lgv-annotation-months-of-year")
+            .data(d => [d])
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-annotation-months-of-year")
+            .attr("transform", isVertical ?
+                `translate(0,${this.paddingTop})` :
+                `translate(${this.paddingSide},${this.legend == "top" ? this.paddingTop - (this.artboardUnit * 2) : 0})`);
+
+        // year container
+        this.containerYears = this.artboard
+            .selectAll(".lgv-annotation-years")
+            .data(d => [d])
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-annotation-years")
+            .attr("transform", isVertical ?
+                `translate(${this.paddingSide},${this.paddingTop - this.artboardUnit * 2.25})` :
+                `translate(${this.artboardUnit},${this.paddingTop})`);
+
+        // calendar content container
+        this.containerCalendar = this.artboard
+            .selectAll(".lgv-calendar")
+            .data(d => [d])
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-calendar")
+            .attr("transform", d => `translate(${this.paddingSide},${this.paddingTop})`);
+
+        // annotation markers sit above the cells
+        this.containerMarkers = this.artboard
+            .selectAll(".lgv-markers")
+            .data(d => [d])
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-markers")
+            .attr("transform", d => `translate(${this.paddingSide},${this.paddingTop})`);
+
+        // weekday/week bar charts share the grid origin
+        this.containerMarginals = this.artboard
+            .selectAll(".lgv-marginals")
+            .data(this.marginals ? [this.marginals] : [])
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-marginals")
+            .attr("transform", d => `translate(${this.paddingSide},${this.paddingTop})`);
+
+        // legend container
+        this.containerLegend = this.artboard
+            .selectAll(".lgv-legend")
+            .data(this.legend ? [this.legend] : [])
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-legend")
+            .attr("data-legend-position", d => d)
+            .attr("transform", d => {
+
+                // right legend sits beside the calendar
+                if (d == "right") return `translate(${this.width - this.paddingRight + this.marginalSize + this.artboardUnit * 0.5},${this.paddingTop})`;
+
+                // top legend sits above the month annotations
+                if (d == "top") return `translate(${this.paddingSide},0)`;
+
+                return `translate(${this.paddingSide},${this.height - this.paddingBottom + this.marginalSize + this.artboardUnit * 0.5})`;
+
+            });
+
+    }
+
+    /**
+     * Generate visualization.
+     * @param {boolean} isConditioned - data is already conditioned so skip aggregation
+     */
+    generateVisualization(isConditioned=false) {
+
+        // font size may have changed since the last render
+        this.artboardUnit = this.constructArtboardUnit();
+
+        // condition data
+        if (!isConditioned) this.data;
+
+        // determine layout specs
+        this.layout;
+
+        // generate svg artboard
+        this.artboard = this.generateArtboard(this.container);
+
+        // subscribe listeners registered before render
+        this.listeners.forEach(d => this.artboard.node().addEventListener(d[0], d[1]));
+
+        // generate top-level groupings
+        this.generateContainers(this.artboard);
+
+        // generate days of week/month-year annotations
+        this.generateAnnotations();
+
+        // generate threshold/activity type legend
+        this.generateLegend();
+
+        // generate release/incident/holiday markers
+        const markers = this.generateMarkers(this.containerMarkers);
+        this.configureMarkers(markers);
+
+        // generate summary statistics caption
+        const caption = this.generateCaption(this.artboard);
+        this.configureCaption(caption);
+
+        // generate weekday/week bar charts
+        const marginals = this.generateMarginals(this.containerMarginals);
+        this.configureMarginals(marginals);
+
+        // dense calendars draw every cell to one canvas
+        if (this.renderer == "canvas") {
+            this.configureCellCanvas(this.generateCellCanvas(this.containerCalendar));
+            return;
+        }
+
+        // generate cell shapes
+        const cells = this.generateCellShapes(this.containerCalendar);
+
+        // minimally position/style cell shapes
+        this.configureCellShapes(cells);
+
+        // keyboard/screen reader support
+        if (this.accessible) this.configureAccessibility(cells);
+
+        // selection survives re-renders
+        this.configureSelection();
+
+        // so do highlight and hidden activity types
+        this.configureHighlight();
+        this.configureVisibleTypes();
+
+    }
+
+    /**
+     * Highlight cells and dim the rest without re-rendering.
+     * @param {function|array|string} target - function(date, value, type) returning true for highlighted cells, array of dates or an activity type
+     * @returns The ActivityCalendar instance for chaining.
+     */
+    highlight(target) {
+
+        let dates = Array.isArray(target) ? new Set(target.map(d => this.dayOf(d))) : null;
+
+        // update self
+        this.highlightPredicate = typeof target === "function" ? target : (dates ? date => dates.has(date) : (date, value, type) => type == target);
+
+        this.configureHighlight();
+
+        return this;
+
+    }
+
+    /**
+     * Get days of the week for a given date, starting on the configured first day of the week.
+     * @param {currentDate} string - iso 8601 date value
+     * @returns An array of strings where each is an iso 8601 date value representing a day in a week.
+     */
+    isoDaysofWeek(currentDate) {
+
+        // get week start
+        let weekStart = this.weekOf(currentDate);
+
+        return [0, 1, 2, 3, 4, 5, 6].map(d => this.dateAdapter.addDays(weekStart, d));
+
+    }
+
+    /**
+     * Determine cell reached by keyboard navigation.
+     * Up/down move through the days of the iso week and left/right move to the same weekday in the adjacent week column.
+     * Days without activity are skipped.
+     * @param {array} d - cell datum where 0 == iso date value, 1 == value, 2 == activity type
+     * @param {string} key - KeyboardEvent key
+     * @returns A cell datum or undefined when there is no cell in that direction.
+     */
+    navigateCell(d, key) {
+
+        let cells = this.dataCells || [];
+
+        // first/last cell in the range
+        if (key == "Home" || key == "End") {
+            let sorted = cells.slice().sort((a, b) => a[0].localeCompare(b[0]));
+            return key == "Home" ? sorted[0] : sorted[sorted.length - 1];
+        }
+
+        let date = d[0];
+
+        // vertical lays weekdays out left to right and weeks top to bottom
+        if (this.orientation == "vertical") key = { ArrowDown: "ArrowRight", ArrowLeft: "ArrowUp", ArrowRight: "ArrowDown", ArrowUp: "ArrowLeft" }[key] || key;
+
+        while (date) {
+
+            if (key == "ArrowUp" || key == "ArrowDown") {
+
+                let days = this.isoDaysofWeek(date);
+                let dayIndex = days.indexOf(date) + (key == "ArrowUp" ? -1 : 1);
+
+                // stop at the top/bottom of the column
+                date = days[dayIndex];
+
+            } else {
+
+                date = this.dateAdapter.addDays(date, key == "ArrowLeft" ? -7 : 7);
+
+                // stop at the first/last week
+                if (!this.calendarLayout.contains(date)) date = undefined;
+
+            }
+
+            // prefer the same activity type on the target day
+            let matches = cells.filter(x => x[0] == date);
+            let match = matches.find(x => x[2] == d[2]) || matches[0];
+
+            if (match) return match;
+
+        }
+
+    }
+
+    /**
+     * Unsubscribe from visualization event.
+     * @param {string} eventName - name of event
+     * @param {function} handler - function previously passed to on
+     * @returns The ActivityCalendar instance for chaining.
+     */
+    off(eventName, handler) {
+
+        // update self
+        this.listeners = this.listeners.filter(d => !(d[0] == eventName && d[1] == handler));
+
+        if (this.artboard) this.artboard.node().removeEventListener(eventName, handler);
+
+        return this;
+
+    }
+
+    /**
+     * Subscribe to visualization event.
+     * @param {string} eventName - name of event: cellmouseover, cellmouseout, cellclick, cellfocus, cellblur, cellselect or celltouch
+     * @param {function} handler - function(event) where event.detail describes the cell
+     * @returns The ActivityCalendar instance for chaining.
+     */
+    on(eventName, handler) {
+
+        // update self
+        this.listeners.push([eventName, handler]);
+
+        if (this.artboard) this.artboard.node().addEventListener(eventName, handler);
+
+        return this;
+
+    }
+
+    /**
+     * Remove activity records, re-aggregating only the days they fell on.
+     * @param {function} predicate - function(record, type) returning true for records to remove
+     * @returns The ActivityCalendar instance for chaining.
+     */
+    remove(predicate) {
+
+        // update self
+        if (Array.isArray(this.dataSource)) {
+            this.dataSource = this.dataSource.filter(d => !predicate(d, this.typeAccessor(d)));
+        } else if (this.dataSource) {
+            this.dataSource = Object.fromEntries(Object.entries(this.dataSource).map(([type, records]) => [type, records.filter(d => !predicate(d, type))]));
+        }
+
+        // nothing conditioned yet so render will aggregate everything
+        if (!this.dataRecordsDays) return this.generateIncrement(null);
+
+        let days = new Set();
+        let types = this.activityTypes;
+
+        this.dataRecordsDays.forEach((byType, day) => {
+
+            byType.forEach((records, type) => {
+
+                let kept = records.filter(d => !predicate(d, type));
+
+                if (kept.length == records.length) return;
+
+                days.add(day);
+
+                if (kept.length > 0) {
+                    byType.set(type, kept);
+                } else {
+                    byType.delete(type);
+                }
+
+            });
+
+            if (byType.size == 0) this.dataRecordsDays.delete(day);
+
+        });
+
+        this.aggregateDays(days);
+
+        // update self
+        this.activityTypes = this.extractActivityTypes();
+
+        return this.generateIncrement(days, this.activityTypes.join() != types.join());
+
+    }
+
+    /**
+     * Render visualization.
+     * @param {node} domNode - HTML node
+     */
+    render(domNode) {
+
+        // update self
+        this.container = select(domNode);
+
+        // fill the container and follow its size
+        if (this.responsive && typeof ResizeObserver !== "undefined" && !this.resizeObserver) {
+            this.resizeObserver = new ResizeObserver(entries => {
+
+                let { width, height } = entries[entries.length - 1].contentRect;
+
+                // wait for resizing to settle
+                clearTimeout(this.resizeTimer);
+                this.resizeTimer = setTimeout(() => this.resize(width, height), this.resizeDelay);
+
+            });
+            this.resizeObserver.observe(domNode);
+        }
+
+        // generate visualization
+        this.generateVisualization();
+
+        // optional html overlay
+        if (this.tooltip && !this.tooltipOverlay) {
+            this.tooltipOverlay = new Tooltip(this, this.tooltipFormatter);
+            this.tooltipOverlay.render(domNode);
+        }
+
+    }
+
+    /**
+     * Re-render visualization at new artboard dimensions.
+     * @param {integer} width - width of artboard
+     * @param {integer} height - height of artboard, unchanged when the container has no height of its own
+     */
+    resize(width, height) {
+
+        // container hidden or removed
+        if (!this.container || !width) return;
+
+        // update self
+        this.height = height || this.height;
+        this.width = width;
+
+        // only the layout depends on the size
+        this.generateVisualization(true);
+
+    }
+
+    /**
+     * Replace selection and mark selected cells.
+     * @param {array} dates - iso 8601 date values
+     * @param {string} kind - how the days were selected: day, range, month or weekday
+     * @param {boolean} notify - emit rangeselect
+     */
+    selectDates(dates, kind, notify=true) {
+
+        // update self
+        this.selectedDates = dates;
+
+        this.configureSelectedCells();
+
+        if (notify && this.artboard && dates.length > 0) this.dispatchSelectionEvent(kind);
+
+    }
+
+    /**
+     * Select the days of a month within the range.
+     * @param {string} date - iso 8601 date value in the month
+     * @param {boolean} notify - emit rangeselect
+     */
+    selectMonth(date, notify=true) {
+        this.selectDates(this.calendarLayout.dates().filter(d => d.slice(0, 7) == date.slice(0, 7)), "month", notify);
+    }
+
+    /**
+     * Select the days from one date to another within the range, in either order.
+     * @param {string} dateStart - iso 8601 date value
+     * @param {string} dateEnd - iso 8601 date value
+     * @param {boolean} notify - emit rangeselect
+     */
+    selectRange(dateStart, dateEnd, notify=true) {
+
+        let [start, end] = this.dateAdapter.daysBetween(dateStart, dateEnd) < 0 ? [dateEnd, dateStart] : [dateStart, dateEnd];
+        let dates = this.calendarLayout.dates().filter(d => this.dateAdapter.daysBetween(start, d) >= 0 && this.dateAdapter.daysBetween(d, end) >= 0);
+
+        this.selectDates(dates, start == end ? "day" : "range", notify);
+
+    }
+
+    /**
+     * Select the days of a weekday row within the range.
+     * @param {integer} row - weekday index from 0 (configured first day of the week) to 6
+     * @param {boolean} notify - emit rangeselect
+     */
+    selectWeekday(row, notify=true) {
+        this.selectDates(this.calendarLayout.dates().filter(d => this.calendarLayout.row(d) == row), "weekday", notify);
+    }
+
+    /**
+     * Show only some activity types without re-rendering.
+     * @param {array} types - activity types to show, all when null
+     * @param {boolean} recomputeThreshold - leave hidden types out of the shared threshold domain so visible cells use every level
+     * @returns The ActivityCalendar instance for chaining.
+     */
+    setVisibleTypes(types, recomputeThreshold=false) {
+
+        let isThresholdChanged = recomputeThreshold || this.visibleTypesThreshold;
+
+        // update self
+        this.visibleTypes = types ? types.slice() : null;
+        this.visibleTypesThreshold = recomputeThreshold;
+
+        // recolor cells and legend for the new domain
+        if (this.artboard && isThresholdChanged) {
+            this.configureCellShapes(this.containerCalendar.selectAll(".lgv-cell"));
+            this.generateLegend();
+        }
+
+        // canvas has no cells to hide so every visible cell is drawn again
+        if (this.artboard && this.renderer == "canvas") this.configureCellCanvas(this.containerCalendar.select(".lgv-cell-canvas canvas"));
+
+        this.configureVisibleTypes();
+
+        return this;
+
+    }
+
+    /**
+     * Compute summary statistics over the drawn range.
+     * @returns An object with dateStart, dateEnd, max, months, streaks, total, totals and weekdays keys, see constructStats.
+     */
+    stats() {
+
+        // condition data when called before render
+        if (!this.calendarLayout) this.data;
+
+        // nothing to count
+        if (!this.calendarLayout) return constructStats(new Map(), this.today(), this.today(), { adapter: this.dateAdapter });
+
+        return constructStats(this.dataAggregateDays, this.calendarLayout.dateStart, this.calendarLayout.dateEnd, {
+            adapter: this.dateAdapter,
+            types: this.activityTypes,
+            weekendsBreakStreaks: this.weekendsBreakStreaks
+        });
+
+    }
+
+    /**
+     * Get the current calendar day in the configured time zone.
+     * @returns An iso 8601 date value (YYYY-MM-DD).
+     */
+    today() {
+        return this.dayOf(Date.now());
+    }
+
+    /**
+     * Rasterize visualization in the browser.
+     * @param {number} scale - pixel density multiplier, i.e. 2 for high resolution displays
+     * @param {object} options - same settings as toSVGString
+     * @returns A promise resolving to a PNG Blob.
+     */
+    toPNG(scale=1, options={}) {
+        return new Promise((resolve, reject) => {
+
+            let url = URL.createObjectURL(this.toSVGBlob(options));
+            let image = new Image();
+
+            image.onload = () => {
+
+                let canvas = document.createElement("canvas");
+
+                // update self
+                canvas.width = Math.ceil(this.width * scale);
+                canvas.height = Math.ceil(this.height * scale);
+
+                canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("PNG export failed")), "image/png");
+
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error("PNG export failed to load the SVG"));
+            };
+            image.src = url;
+
+        });
+    }
+
+    /**
+     * Package visualization as an SVG file in the browser.
+     * @param {object} options - same settings as toSVGString
+     * @returns A Blob of type image/svg+xml.
+     */
+    toSVGBlob(options={}) {
+        return new Blob([this.toSVGString(options)], { type: "image/svg+xml;charset=utf-8" });
+    }
+
+    /**
+     * Serialize visualization to a self-contained SVG string with threshold level styles inlined.
+     * Renders off screen when the visualization is not rendered, so it works in Node with a DOM implementation such as jsdom.
+     * Running cell transitions are finished first so the export shows their end state.
+     * @param {object} options - optional settings
+     * @param {array} options.colors - color of each threshold level, defaults to the page stylesheet then a green ramp
+     * @param {document} options.document - document used to render off screen, defaults to the global document
+     * @returns An SVG markup string.
+     */
+    toSVGString(options={}) {
+
+        let artboard = this.artboard;
+        let container = this.container;
+        let renderer = this.renderer;
+        let transition = this.transition;
+
+        // page stylesheet applies to the live chart
+        let colors = options.colors || this.constructThresholdColors();
+
+        // render off screen without animation, canvas cells as paths
+        let isOffScreen = !artboard || renderer == "canvas";
+
+        if (isOffScreen) {
+
+            let documentNode = options.document || (container ? container.node().ownerDocument : null) || (typeof document === "undefined" ? null : document);
+
+            if (!documentNode) throw new Error("toSVGString needs a document to render in, pass options.document when running outside the browser");
+
+            this.container = select(documentNode.createElement("div"));
+            this.renderer = "svg";
+            this.transition = false;
+            this.generateVisualization();
+
+        }
+
+        // cells mid-fade would export half transparent
+        if (!isOffScreen && this.constructTransitionDuration() > 0) {
+
+            artboard.selectAll(".lgv-cell, .lgv-cell-exit").interrupt("lgv-cell");
+            artboard.selectAll(".lgv-cell-exit").remove();
+
+            // jump to the end state
+            this.transition = false;
+            this.generateVisualization(true);
+            this.transition = transition;
+
+        }
+
+        let markup = serializeSVG(this.artboard.node(), {
+            colors: options.colors || (artboard ? colors : this.constructThresholdColors()),
+            fontSize: this.artboardUnit,
+            height: this.height,
+            width: this.width
+        });
+
+        // off screen render leaves no trace
+        if (isOffScreen) {
+
+            this.artboard = null;
+            this.container = container;
+            this.renderer = renderer;
+            this.transition = transition;
+
+            // point containers back at the live chart
+            if (artboard) this.generateVisualization(true);
+
+        }
+
+        return markup;
+
+    }
+
+    /**
+     * Update visualization.
+     * @param {array|object} data - activity records or key/values where each key is an activity type and corresponding value is an array of its records
+     * @param {integer} height - height of artboard
+     * @param {integer} width - width of artboard
+     */
+    update(data, width, height) {
+
+        // update self
+        this.dataSource = data;
+        this.height = height;
+        this.width = width;
+
+        // generate visualization
+        this.generateVisualization();
+
+    }
+
+    /**
+     * Get first day of the week a date falls in.
+     * @param {string} date - iso 8601 date value
+     * @returns An iso 8601 date value.
+     */
+    weekOf(date) {
+        return weekOf(this.dayOf(date), this.weekStart, this.dateAdapter);
+    }
+
+    /**
+     * Get row of a date within its week.
+     * @param {string} date - iso 8601 date value
+     * @returns An integer from 0 (configured first day of the week) to 6.
+     */
+    weekdayOf(date) {
+        return weekdayOf(this.dayOf(date), this.weekStart, this.dateAdapter);
     }
 
 };
@@ -0,0 +1,73 @@
+import moment from "moment-timezone";
+import "moment/locale/de.js";
+
+import { nativeDateAdapter } from "../src/adapter.js";
+
+// loading a locale makes it the global default
+moment.locale("en");
+
+// moment tokens for the Intl.DateTimeFormat options the calendar asks for
+const momentTokens = {
+    day: { "2-digit": "DD", numeric: "D" },
+    month: { "2-digit": "MM", long: "MMMM", numeric: "M", short: "MMM" },
+    weekday: { long: "dddd", narrow: "dd", short: "ddd" },
+    year: { "2-digit": "YY", numeric: "YYYY" }
+};
+
+// every date operation through moment, nothing inherited from the native adapter
+const momentDateAdapter = {
+
+    addDays: (date, days) => moment.utc(date, "YYYY-MM-DD").add(days, "days").format("YYYY-MM-DD"),
+
+    calendarDay: (value, timeZone) => {
+
+        if (timeZone && !moment.tz.zone(timeZone)) throw new RangeError(`Unknown time zone ${timeZone}`);
+
+        if (value === undefined || value === null) throw new Error("Missing date");
+
+        let input = typeof value === "object" ? value.valueOf() : value;
+        let result;
+
+        // numbers and dates are instants, strings may be wall clock values
+        if (typeof input === "number") {
+            result = timeZone ? moment.tz(input, timeZone) : moment(input);
+        } else {
+            result = timeZone ? moment.tz(input, moment.ISO_8601, timeZone) : moment(input, moment.ISO_8601);
+        }
+
+        if (!result.isValid()) throw new Error(`Unparseable date "${value}"`);
+
+        return result.format("YYYY-MM-DD");
+
+    },
+
+    daysBetween: (dateStart, dateEnd) => moment.utc(dateEnd, "YYYY-MM-DD").diff(moment.utc(dateStart, "YYYY-MM-DD"), "days"),
+
+    format: (date, options, locale) => {
+
+        let m = moment.utc(date, "YYYY-MM-DD").locale(locale.split("-")[0]);
+        let token = key => options[key] ? momentTokens[key][options[key]] : null;
+
+        // narrow weekdays are single letters
+        if (options.weekday == "narrow") return m.format("dd").slice(0, 1);
+
+        // en-US order: weekday, month day, year
+        let monthDay = [token("month"), token("day")].filter(d => d).join(" ");
+        let pattern = [token("weekday"), monthDay].filter(d => d).join(", ");
+
+        if (token("year")) pattern = pattern ? `${pattern}${token("day") ? "," : ""} ${token("year")}` : token("year");
+
+        return m.format(pattern);
+
+    },
+
+    isValid: date => typeof date === "string" && moment.utc(date, "YYYY-MM-DD", true).isValid(),
+
+    weekday: date => moment.utc(date, "YYYY-MM-DD").day()
+
+};
+
+// suites which touch dates run once per adapter
+const adapters = [["native", nativeDateAdapter], ["moment", momentDateAdapter]];
+
+export { adapters, momentDateAdapter };
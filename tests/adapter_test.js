@@ -0,0 +1,65 @@
+import test from "ava";
+
+import { ActivityCalendar } from "../src/index.js";
+import { constructDateAdapter, nativeDateAdapter } from "../src/adapter.js";
+import { adapters, momentDateAdapter } from "./_adapters.js";
+
+let testData = [
+    {date: "2020-12-30", type: "commit", value: 4},
+    {date: "2021-01-02", type: "review", value: 2},
+    {date: "2021-03-01", type: "commit", value: 1}
+];
+
+// every adapter has to agree
+adapters.forEach(([name, adapter]) => {
+
+    // TEST ADAPTER //
+    test(`adapter_${name}`, t => {
+
+        t.true(adapter.addDays("2020-02-28", 1) == "2020-02-29");
+        t.true(adapter.addDays("2021-01-01", -1) == "2020-12-31");
+        t.true(adapter.daysBetween("2020-01-01", "2021-01-01") == 366);
+        t.true(adapter.daysBetween("2021-01-01", "2020-12-31") == -1);
+        t.true(adapter.isValid("2020-02-29"));
+        t.false(adapter.isValid("2021-02-29"));
+        t.false(adapter.isValid("not a date"));
+        t.true(adapter.weekday("2023-01-01") == 0);
+        t.true(adapter.weekday("2020-01-04") == 6);
+        t.true(adapter.calendarDay("2020-01-01T23:30:00") == "2020-01-01");
+        t.true(adapter.calendarDay("2020-01-01T23:30:00", "Asia/Tokyo") == "2020-01-01");
+        t.true(adapter.calendarDay("2020-01-01 23:30", "Asia/Tokyo") == "2020-01-01");
+        t.throws(() => adapter.calendarDay(undefined, "UTC"));
+        t.true(adapter.calendarDay("2020-01-01T23:30:00Z", "Asia/Tokyo") == "2020-01-02");
+        t.true(adapter.calendarDay(new Date(Date.UTC(2020, 0, 1, 12)), "Pacific/Kiritimati") == "2020-01-02");
+        t.throws(() => adapter.calendarDay(0, "Mars/Olympus_Mons"));
+        t.true(adapter.format("2020-01-05", { month: "short" }, "en-US") == "Jan");
+        t.true(adapter.format("2020-01-06", { weekday: "short", day: "numeric", month: "short", year: "numeric" }, "en-US") == "Mon, Jan 6, 2020");
+
+    });
+
+    // TEST RENDER //
+    test(`render_${name}`, t => {
+
+        let container = document.createElement("div");
+        let ac = new ActivityCalendar(testData, null, null, 300, 200, { dateAdapter: adapter, weekStart: 0, yearRows: true });
+
+        ac.render(container);
+
+        let reference = document.createElement("div");
+        new ActivityCalendar(testData, null, null, 300, 200, { weekStart: 0, yearRows: true }).render(reference);
+
+        t.true(container.innerHTML == reference.innerHTML);
+        t.true(ac.navigateCell(["2020-12-30", 4, "commit"], "ArrowDown")[0] == "2021-01-02");
+
+    });
+
+});
+
+// TEST CONSTRUCTDATEADAPTER //
+test("constructDateAdapter", t => {
+
+    t.true(constructDateAdapter() === nativeDateAdapter);
+    t.true(constructDateAdapter(momentDateAdapter) === momentDateAdapter);
+    t.throws(() => constructDateAdapter({ addDays: () => null }), { message: /missing calendarDay, daysBetween, format, isValid, weekday/ });
+
+});
@@ -0,0 +1,31 @@
+import test from "ava";
+
+import { aggregations, constructAggregation } from "../src/aggregation.js";
+
+let testRecords = [
+    {date: "2020-01-01", type: "abc", value: 2},
+    {date: "2020-01-01", type: "abc", value: 6}
+];
+
+// TEST AGGREGATIONS //
+test("aggregations", t => {
+
+    let value = d => d.value;
+
+    t.true(aggregations.count(testRecords, value) === 2);
+    t.true(aggregations.max(testRecords, value) === 6);
+    t.true(aggregations.mean(testRecords, value) === 4);
+    t.true(aggregations.sum(testRecords, value) === 8);
+
+});
+
+// TEST CONSTRUCTAGGREGATION //
+test("constructAggregation", t => {
+
+    let custom = (records, value) => records.length * 10;
+
+    t.true(constructAggregation("sum") === aggregations.sum);
+    t.true(constructAggregation(custom) === custom);
+    t.throws(() => constructAggregation("median"));
+
+});
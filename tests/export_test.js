@@ -0,0 +1,91 @@
+import test from "ava";
+
+import { ActivityCalendar } from "../src/index.js";
+import { defaultThresholdColors, serializeSVG } from "../src/export.js";
+
+let testData = [
+    {date: "2020-01-01", type: "commit", value: 4},
+    {date: "2020-01-01", type: "review", value: 2},
+    {date: "2020-01-02", type: "commit", value: 1}
+];
+
+// TEST DEFAULTTHRESHOLDCOLORS //
+test("defaultThresholdColors", t => {
+
+    t.true(defaultThresholdColors(4).length == 4);
+    t.true(defaultThresholdColors(1).length == 1);
+
+});
+
+// TEST SERIALIZESVG //
+test("serializeSVG", t => {
+
+    let svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.innerHTML = `<path data-cell-threshold="1" tabindex="0"></path>`;
+
+    let result = serializeSVG(svg, { colors: ["#ff0000"], fontSize: 12, height: 20, width: 10 });
+
+    t.true(result.startsWith("<svg"));
+    t.true(result.split(`xmlns="http://www.w3.org/2000/svg"`).length == 2);
+    t.true(result.includes(`width="10"`) && result.includes(`height="20"`));
+    t.true(result.includes(`[data-cell-threshold="1"]:not([fill]) { fill: #ff0000; }`));
+    t.false(result.includes("tabindex"));
+
+    // source node is left untouched
+    t.true(svg.querySelector("style") === null);
+
+});
+
+// TEST TOSVGSTRING //
+test("toSVGString", t => {
+
+    let ac = new ActivityCalendar(testData, "2020-01-01", "2020-01-08", 300, 200, { accessible: true, palettes: { review: ["#111111", "#222222", "#333333"] } });
+    let result = ac.toSVGString({ colors: ["#aaaaaa", "#bbbbbb", "#cccccc"] });
+
+    // rendered off screen without keeping the artboard
+    t.true(ac.artboard === null && ac.container === null);
+    t.true(result.includes(`[data-cell-threshold="3"]:not([fill]) { fill: #cccccc; }`));
+    t.true(result.includes(`fill="#222222"`));
+    t.true(result.includes(`viewBox="0 0 300 200"`));
+    t.true(result.includes("lgv-annotation-month"));
+
+    // standalone document parses as svg
+    let parsed = new document.defaultView.DOMParser().parseFromString(result, "image/svg+xml");
+
+    t.true(parsed.getElementsByTagName("parsererror").length == 0);
+    t.true(parsed.documentElement.namespaceURI == "http://www.w3.org/2000/svg");
+
+    // live chart is serialized as is
+    document.body.innerHTML = "";
+    ac.render(document.body);
+
+    t.true(ac.toSVGString() == ac.toSVGString());
+    t.true(document.querySelectorAll("svg").length == 1);
+
+});
+
+// TEST TOSVGSTRING //
+test("toSVGString_transition", t => {
+
+    let ac = new ActivityCalendar(testData, "2020-01-01", "2020-01-08", 300, 200, { transition: true, transitionDuration: 1000 });
+
+    // other tests clear the document
+    let container = document.createElement("div");
+
+    // render to dom
+    ac.render(container);
+    ac.update(testData.slice(1), 300, 200);
+
+    // export right away while cells are still fading
+    let result = ac.toSVGString();
+    let parsed = new document.defaultView.DOMParser().parseFromString(result, "image/svg+xml");
+    let cells = [...parsed.querySelectorAll(".lgv-cell")];
+
+    t.true(cells.length == 2);
+    t.true(cells.every(d => !d.hasAttribute("opacity") || d.getAttribute("opacity") == "1"));
+    t.true(parsed.querySelectorAll(".lgv-cell-exit").length == 0);
+
+    // live chart keeps animating later changes
+    t.true(ac.transition);
+
+});
@@ -0,0 +1,152 @@
+import test from "ava";
+
+import { CalendarLayout, addDays, calendarDay, toDayNumber, weekOf, weekdayOf } from "../src/layout.js";
+import { adapters } from "./_adapters.js";
+
+/**
+ * Every date from start to end inclusive.
+ */
+function datesBetween(start, end) {
+
+    let result = [];
+
+    for (let date = start; toDayNumber(date) <= toDayNumber(end); date = addDays(date, 1)) result.push(date);
+
+    return result;
+
+}
+
+// TEST ADDDAYS //
+test("addDays", t => {
+
+    t.true(addDays("2020-12-31", 1) == "2021-01-01");
+    t.true(addDays("2020-03-01", -1) == "2020-02-29");
+    t.true(addDays("2021-03-28", 7) == "2021-04-04");
+
+});
+
+// TEST CALENDARDAY //
+test("calendarDay", t => {
+
+    // plain dates and wall clock timestamps are not shifted
+    t.true(calendarDay("2020-01-01", "Asia/Tokyo") == "2020-01-01");
+    t.true(calendarDay("2020-01-01T23:30:00", "Asia/Tokyo") == "2020-01-01");
+    t.true(calendarDay("2020-01-01 23:30", "Asia/Tokyo") == "2020-01-01");
+    t.true(calendarDay("2020-01-01 23:30", "Pacific/Kiritimati") == "2020-01-01");
+
+    // missing or unparseable dates are not today
+    t.throws(() => calendarDay(undefined, "UTC"), { message: /Missing date/ });
+    t.throws(() => calendarDay(null, "UTC"), { message: /Missing date/ });
+    t.throws(() => calendarDay("yesterday", "UTC"), { message: /Unparseable date "yesterday"/ });
+
+    // instants land on the day in the time zone
+    t.true(calendarDay("2020-01-01T23:30:00Z", "UTC") == "2020-01-01");
+    t.true(calendarDay("2020-01-01T23:30:00Z", "Asia/Tokyo") == "2020-01-02");
+    t.true(calendarDay("2020-01-01T03:30:00Z", "America/New_York") == "2019-12-31");
+    t.true(calendarDay(Date.UTC(2020, 0, 1, 12), "UTC") == "2020-01-01");
+    t.true(calendarDay(new Date(Date.UTC(2020, 0, 1, 12)), "Pacific/Kiritimati") == "2020-01-02");
+    t.throws(() => calendarDay(0, "Mars/Olympus_Mons"));
+
+});
+
+// TEST WEEKDAYOF //
+test("weekdayOf", t => {
+
+    // 2021-01-03 is a sunday
+    t.true(weekdayOf("2021-01-03", 0) == 0);
+    t.true(weekdayOf("2021-01-03", 1) == 6);
+    t.true(weekdayOf("1969-12-28", 0) == 0);
+    t.true(weekOf("2021-01-03", 1) == "2020-12-28");
+
+});
+
+// layout only does date math through the adapter
+adapters.forEach(([name, adapter]) => {
+
+    // TEST COLUMN/ROW //
+    test(`column_row_year_boundaries_${name}`, t => {
+
+        // spans 2015 and 2020 which both have 53 iso weeks
+        let layout = new CalendarLayout("2014-12-25", "2021-01-10", 1, false, adapter);
+        let dates = datesBetween(layout.dateStart, layout.dateEnd);
+
+        // every date lands inside the grid
+        t.true(dates.every(d => layout.column(d) >= 0 && layout.column(d) < layout.columns));
+        t.true(dates.every(d => layout.row(d) >= 0 && layout.row(d) <= 6));
+
+        // consecutive days fill the grid without gaps or overlap
+        t.true(dates.every((d, i) => i == 0 || (layout.column(d) * 7) + layout.row(d) == (layout.column(dates[i - 1]) * 7) + layout.row(dates[i - 1]) + 1));
+
+        // week columns match the week each date falls in
+        let weeks = layout.weeks();
+        t.true(dates.every(d => weeks[layout.column(d)] == weekOf(d, 1, adapter)));
+
+        // iso week 53 of 2020 and week 1 of 2021 are adjacent columns
+        t.true(layout.column("2021-01-04") == layout.column("2020-12-28") + 1);
+        t.true(layout.column("2020-12-31") == layout.column("2021-01-03"));
+
+    });
+
+    // TEST DATE //
+    test(`date_${name}`, t => {
+
+        let layout = new CalendarLayout("2020-12-30", "2021-01-05", 0, false, adapter);
+
+        t.true(layout.columns == 2);
+        t.true(layout.date(0, 3) == "2020-12-30");
+        t.true(layout.date(0, 2) === null);
+        t.true(layout.date(1, 2) == "2021-01-05");
+        t.true(layout.date(1, 3) === null);
+        t.true(layout.date(0, 7) === null);
+
+    });
+
+    // TEST MONTHS //
+    test(`months_${name}`, t => {
+
+        let layout = new CalendarLayout("2020-11-15", "2021-02-01", 1, false, adapter);
+
+        t.deepEqual(layout.months(), ["2020-11-15", "2020-12-01", "2021-01-01", "2021-02-01"]);
+        t.deepEqual(new CalendarLayout("2021-02-01", "2020-11-15", 1, false, adapter).months(), []);
+
+    });
+
+    // TEST DAYS //
+    test(`days_${name}`, t => {
+
+        let layout = new CalendarLayout("2020-01-01", "2020-12-31", 6, false, adapter);
+
+        t.deepEqual(layout.days("2020-01-01"), datesBetween("2019-12-28", "2020-01-03"));
+
+    });
+
+    // TEST YEAR BANDS //
+    test(`year_bands_${name}`, t => {
+
+        let layout = new CalendarLayout("2020-12-30", "2021-01-05", 1, true, adapter);
+
+        t.deepEqual(layout.years, [2020, 2021]);
+        t.true(layout.bands() == 2);
+
+        // every year restarts at the week containing january 1st
+        t.true(layout.band("2021-01-04") == 1);
+        t.true(layout.column("2021-01-04") == 1);
+        t.true(layout.column("2020-12-30") == 52);
+        t.true(layout.columns == 53);
+
+        t.true(layout.date(52, 2, 0) == "2020-12-30");
+        t.true(layout.date(1, 0, 1) == "2021-01-04");
+        t.true(layout.date(52, 4, 0) === null);
+        t.true(layout.date(0, 0, 2) === null);
+
+    });
+
+    // TEST DATES //
+    test(`dates_${name}`, t => {
+
+        t.deepEqual(new CalendarLayout("2020-02-27", "2020-03-01", 1, false, adapter).dates(), ["2020-02-27", "2020-02-28", "2020-02-29", "2020-03-01"]);
+        t.deepEqual(new CalendarLayout("2020-03-01", "2020-02-27", 1, false, adapter).dates(), []);
+
+    });
+
+});
@@ -0,0 +1,25 @@
+import test from "ava";
+
+import { cellShapes, constructCellShape } from "../src/shapes.js";
+
+let testBounds = { left: 0, top: 0, right: 12, bottom: 12 };
+
+// TEST CELLSHAPES //
+test("cellShapes", t => {
+
+    t.true(cellShapes.triangle(testBounds, 0, 2).toString() == "M0,0L12,0L0,12Z");
+    t.true(cellShapes.triangle(testBounds, 1, 2).toString() == "M0,12L12,12L12,0Z");
+    t.true(cellShapes["stack-vertical"](testBounds, 1, 3).toString() == "M0,4h12v4h-12Z");
+    t.true(cellShapes["stack-horizontal"](testBounds, 2, 3).toString() == "M8,0h4v12h-4Z");
+    t.true(cellShapes.multiples(testBounds, 2, 3).toString() == "M0,0h12v12h-12Z");
+    t.true(cellShapes.pie(testBounds, 0, 3).toString().startsWith("M6,6L6,0A6,6"));
+
+});
+
+// TEST CONSTRUCTCELLSHAPE //
+test("constructCellShape", t => {
+
+    t.true(constructCellShape("pie") === cellShapes.pie);
+    t.throws(() => constructCellShape("hexagon"));
+
+});
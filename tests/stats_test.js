@@ -0,0 +1,83 @@
+import test from "ava";
+
+import { ActivityCalendar } from "../src/index.js";
+import { constructStats } from "../src/stats.js";
+import { adapters } from "./_adapters.js";
+
+let testDays = new Map([
+    ["2020-01-06", new Map([["a", 1]])],
+    ["2020-01-07", new Map([["a", 2], ["b", 1]])],
+    ["2020-01-08", new Map([["a", 1]])],
+    ["2020-01-10", new Map([["a", 5]])],
+    ["2020-01-13", new Map([["b", 2]])]
+]);
+
+// streaks and weekday sums through every date adapter
+adapters.forEach(([name, adapter]) => {
+
+    // TEST CONSTRUCTSTATS //
+    test(`constructStats_${name}`, t => {
+
+        let stats = constructStats(testDays, "2020-01-06", "2020-01-14", { adapter: adapter });
+
+        t.deepEqual(stats.totals, { a: 9, b: 3 });
+        t.true(stats.total == 12);
+        t.deepEqual(stats.max, { date: "2020-01-10", value: 5 });
+        t.deepEqual(stats.weekdays, [0, 3, 3, 1, 0, 5, 0]);
+        t.deepEqual(stats.months, { "2020-01": 12 });
+
+        // an empty last day keeps the streak before it
+        t.deepEqual(stats.streaks.longest, { dateEnd: "2020-01-08", dateStart: "2020-01-06", length: 3 });
+        t.deepEqual(stats.streaks.current, { dateEnd: "2020-01-13", dateStart: "2020-01-13", length: 1 });
+
+        // a second empty day ends it
+        t.true(constructStats(testDays, "2020-01-06", "2020-01-15", { adapter: adapter }).streaks.current.length == 0);
+
+        // only listed types are counted
+        t.true(constructStats(testDays, "2020-01-06", "2020-01-14", { adapter: adapter, types: ["b"] }).total == 3);
+
+    });
+
+    // TEST STREAK WEEKENDS //
+    test(`constructStats_weekends_${name}`, t => {
+
+        let stats = constructStats(testDays, "2020-01-06", "2020-01-14", { adapter: adapter, weekendsBreakStreaks: false });
+
+        // quiet weekend is skipped rather than counted
+        t.deepEqual(stats.streaks.current, { dateEnd: "2020-01-13", dateStart: "2020-01-10", length: 2 });
+        t.true(stats.streaks.longest.length == 3);
+
+    });
+
+    // TEST CALENDAR STATS //
+    test(`stats_${name}`, t => {
+
+        let data = [
+            {date: "2020-01-06", type: "commit", value: 1},
+            {date: "2020-01-07", type: "commit", value: 2},
+            {date: "2020-01-07", type: "review", value: 1000}
+        ];
+
+        let ac = new ActivityCalendar(data, "2020-01-06", "2020-01-12", 300, 500, { caption: true, dateAdapter: adapter, locale: "en-US" });
+
+        // before render
+        t.deepEqual(ac.stats().totals, { commit: 3, review: 1000 });
+
+        ac.render(document.createElement("div"));
+
+        let caption = () => ac.artboard.node().querySelector(".lgv-caption").textContent;
+
+        t.true(caption() == "1,003 total, longest streak 2 days, current streak 0 days, busiest on Tuesday");
+
+        // follows appended data
+        ac.append([{date: "2020-01-12", type: "commit", value: 1}]);
+        t.true(caption().includes("current streak 1 day,"));
+
+        // custom caption
+        ac = new ActivityCalendar(data, "2020-01-06", "2020-01-12", 300, 500, { caption: stats => `${stats.totals.commit} commits`, dateAdapter: adapter });
+        ac.render(document.createElement("div"));
+        t.true(caption() == "3 commits");
+
+    });
+
+});
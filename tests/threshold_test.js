@@ -0,0 +1,35 @@
+import test from "ava";
+
+import { constructThresholdScale, thresholdScales } from "../src/threshold.js";
+
+let testValues = [0, 1, 2, 4, 8, 16, 32, 64, 100];
+
+// TEST THRESHOLDSCALES //
+test("thresholdScales", t => {
+
+    let quantize = thresholdScales.quantize(testValues, 5);
+    let quantile = thresholdScales.quantile(testValues, 3);
+    let threshold = thresholdScales.threshold(testValues, 3, [10, 50]);
+    let log = thresholdScales.log(testValues, 4);
+
+    t.deepEqual(quantize.range(), [1, 2, 3, 4, 5]);
+    t.true(quantize(100) == 5);
+    t.true(quantile(0) == 1 && quantile(100) == 3);
+    t.deepEqual([5, 10, 49, 50].map(d => threshold(d)), [1, 2, 2, 3]);
+    t.true(log(1) < log(16) && log(16) < log(100));
+
+});
+
+// TEST CONSTRUCTTHRESHOLDSCALE //
+test("constructThresholdScale", t => {
+
+    t.true(typeof(constructThresholdScale("log", testValues, 3)) == "function");
+    t.throws(() => constructThresholdScale("sqrt", testValues, 3));
+
+    // breakpoints decide the levels of a threshold scale
+    t.true(constructThresholdScale("threshold", testValues, 3, [10, 50, 90]).range().length == 4);
+    t.throws(() => constructThresholdScale("threshold", testValues, 3), { message: /thresholdBreakpoints/ });
+    t.throws(() => constructThresholdScale("threshold", testValues, 3, [50, 10]), { message: /ascending/ });
+    t.throws(() => constructThresholdScale("threshold", testValues, 3, [10, "x"]), { message: /ascending/ });
+
+});
@@ -0,0 +1,104 @@
+import test from "ava";
+
+import { ActivityCalendar } from "../src/index.js";
+import { Tooltip, formatTooltip } from "../src/tooltip.js";
+
+let testData = [
+    {date: "2020-01-01", type: "commit", value: 4},
+    {date: "2020-01-01", type: "review", value: 2},
+    {date: "2020-01-02", type: "commit", value: 1}
+];
+
+// TEST FORMATTOOLTIP //
+test("formatTooltip", t => {
+
+    let result = formatTooltip("2020-01-01", [{ type: "<b>", value: 1 }]);
+
+    t.true(result.includes("2020-01-01"));
+    t.true(result.includes("&lt;b&gt;: 1"));
+
+});
+
+// TEST EXTRACTACTIVITIES //
+test("extractActivities", t => {
+
+    let ac = new ActivityCalendar(testData, "2020-01-01", "2020-01-08");
+    let tooltip = new Tooltip(ac);
+
+    ac.data;
+
+    t.deepEqual(tooltip.extractActivities("2020-01-01"), [{ type: "commit", value: 4 }, { type: "review", value: 2 }]);
+    t.deepEqual(tooltip.extractActivities("2020-01-05"), []);
+
+});
+
+// TEST RENDER //
+test("render", t => {
+
+    let ac = new ActivityCalendar(testData, "2020-01-01", "2020-01-08", 300, 500, {
+        tooltip: true,
+        tooltipFormatter: (date, activities) => `${date} ${activities.map(d => d.type).join(",")}`
+    });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let tooltip = document.querySelector(".lgv-tooltip");
+    let cell = document.querySelector(".lgv-cell[data-cell-type='review']");
+
+    t.true(tooltip.hasAttribute("hidden"));
+
+    // hover shows every type on the day
+    cell.dispatchEvent(new document.defaultView.MouseEvent("mouseover", { bubbles: true, clientX: 10, clientY: 10 }));
+
+    t.false(tooltip.hasAttribute("hidden"));
+    t.true(tooltip.textContent == "2020-01-01 commit,review");
+    t.true(tooltip.style.left == `${10 + ac.artboardUnit}px`);
+
+    // leaving hides
+    cell.dispatchEvent(new document.defaultView.MouseEvent("mouseout", { bubbles: true }));
+
+    t.true(tooltip.hasAttribute("hidden"));
+
+    // destroy removes overlay and listeners
+    ac.tooltipOverlay.destroy();
+    cell.dispatchEvent(new document.defaultView.MouseEvent("mouseover", { bubbles: true }));
+
+    t.true(document.querySelector(".lgv-tooltip") === null);
+    t.true(ac.listeners.length == 0);
+
+});
+
+// TEST CANVAS TOUCH //
+test("render_canvas_touch", t => {
+
+    let ac = new ActivityCalendar(testData, "2020-01-01", "2020-01-08", 300, 500, { cellSize: 10, cellGap: 0, legend: false, renderer: "canvas", tooltip: true });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let tooltip = document.querySelector(".lgv-tooltip");
+    let canvas = document.querySelector(".lgv-cell-canvas canvas");
+    let touch = (x, y) => {
+        let e = new document.defaultView.Event("touchstart", { bubbles: true });
+        e.touches = [{ clientX: x, clientY: y }];
+        canvas.dispatchEvent(e);
+    };
+
+    // 2020-01-01 is a wednesday in the third row, the same touch reaches the document
+    touch(5, 25);
+    t.false(tooltip.hasAttribute("hidden"));
+
+    // empty part of the canvas dismisses
+    touch(5, 5);
+    t.true(tooltip.hasAttribute("hidden"));
+
+    ac.destroy();
+
+});
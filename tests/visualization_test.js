@@ -3,6 +3,7 @@ import moment from "moment";
 
 import { configuration, configurationDimension } from "../src/configuration.js";
 import { ActivityCalendar } from "../src/index.js";
+import { adapters } from "./_adapters.js";
 
 let testData = [
     {date: "2020-01-01", type: "abc", value: 1},
@@ -171,3 +172,1330 @@ test("render_params", t => {
     t.true(artboard.getAttribute("viewBox").split(" ")[2] == acp.width);
 
 });
+
+/******************** AGGREGATION ********************/
+
+let testDataKeyed = {
+    abc: [
+        {date: "2020-01-01", type: "abc", value: 2},
+        {date: "2020-01-01", type: "abc", value: 6},
+        {date: "2020-01-02", type: "abc", value: 4}
+    ]
+};
+
+// TEST get DATA //
+test("get_data_aggregation", t => {
+
+    let sum = new ActivityCalendar(testDataKeyed, "2020-01-01", "2020-01-08");
+    let count = new ActivityCalendar(testDataKeyed, "2020-01-01", "2020-01-08", 300, 500, { aggregation: "count" });
+    let custom = new ActivityCalendar(testDataKeyed, "2020-01-01", "2020-01-08", 300, 500, {
+        aggregation: (records, value) => Math.min(...records.map(value)),
+        valueAccessor: d => d.value * 10
+    });
+
+    sum.data;
+    count.data;
+    custom.data;
+
+    t.deepEqual(sum.extractActivity("abc"), [["2020-01-01", 8, "abc"], ["2020-01-02", 4, "abc"]]);
+    t.deepEqual(count.extractActivity("abc"), [["2020-01-01", 2, "abc"], ["2020-01-02", 1, "abc"]]);
+    t.deepEqual(custom.extractActivity("abc"), [["2020-01-01", 20, "abc"], ["2020-01-02", 40, "abc"]]);
+
+});
+
+// TEST RENDER //
+test("render_aggregation", t => {
+
+    let ac = new ActivityCalendar(testDataKeyed, "2020-01-01", "2020-01-08");
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let values = [...document.querySelectorAll(".lgv-cell")].map(d => d.getAttribute("data-cell-value"));
+
+    t.deepEqual(values, ["8", "4"]);
+
+});
+
+/******************** DATA SHAPES ********************/
+
+let testDataPayload = [
+    {timestamp: "2020-01-01T10:00:00", category: "push", count: 2},
+    {timestamp: "2020-01-01T12:00:00", category: "push", count: 1},
+    {timestamp: "2020-01-02T09:00:00", category: "review", count: 5}
+];
+
+// TEST EXTRACTACTIVITYTYPES //
+test("extractActivityTypes", t => {
+
+    let flat = new ActivityCalendar(testData, "2020-01-01", "2020-01-08");
+    let keyed = new ActivityCalendar(testDataKeyed, "2020-01-01", "2020-01-08");
+
+    t.deepEqual(flat.activityTypes, ["abc", "def"]);
+    t.deepEqual(keyed.activityTypes, ["abc"]);
+
+});
+
+// TEST get DATA //
+test("get_data_accessors", t => {
+
+    let ac = new ActivityCalendar(testDataPayload, "2020-01-01", "2020-01-08", 300, 500, {
+        dateAccessor: d => d.timestamp,
+        typeAccessor: d => d.category,
+        valueAccessor: d => d.count
+    });
+
+    ac.data;
+
+    t.deepEqual(ac.activityTypes, ["push", "review"]);
+    t.deepEqual(ac.dataCells, [["2020-01-01", 3, "push"], ["2020-01-02", 5, "review"]]);
+
+});
+
+/******************** CELL SHAPES ********************/
+
+let testDataMulti = [
+    {date: "2020-01-01", type: "commit", value: 1},
+    {date: "2020-01-01", type: "review", value: 2},
+    {date: "2020-01-01", type: "deploy", value: 3}
+];
+
+// TEST get LAYOUT //
+test("get_layout_multiples", t => {
+
+    let ac = new ActivityCalendar(testDataMulti, "2020-01-01", "2020-01-08", 300, 500, { cellShape: "multiples" });
+
+    ac.data;
+    ac.layout;
+
+    t.true(ac.cellHeight == (ac.height - ac.paddingTop - ac.paddingBottom) / (ac.weekdays.length * 3));
+
+});
+
+// TEST RENDER //
+test("render_pie", t => {
+
+    let ac = new ActivityCalendar(testDataMulti, "2020-01-01", "2020-01-08", 300, 500, { cellShape: "pie" });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let shapes = [...document.querySelectorAll(".lgv-cell")].map(d => d.getAttribute("d"));
+
+    t.true(shapes.length == 3);
+    t.true(new Set(shapes).size == 3);
+
+});
+
+/******************** THRESHOLDS ********************/
+
+let testDataVolume = [
+    {date: "2020-01-01", type: "high", value: 1000},
+    {date: "2020-01-02", type: "high", value: 10},
+    {date: "2020-01-01", type: "low", value: 10},
+    {date: "2020-01-02", type: "low", value: 1}
+];
+
+// TEST CONSTRUCTTHRESHOLD //
+test("constructThreshold_domain", t => {
+
+    let shared = new ActivityCalendar(testDataVolume, "2020-01-01", "2020-01-08", 300, 500, { thresholdLevels: 5 });
+    let perType = new ActivityCalendar(testDataVolume, "2020-01-01", "2020-01-08", 300, 500, { thresholdDomain: "type", thresholdLevels: 5 });
+
+    shared.data;
+    perType.data;
+
+    t.true(shared.constructThreshold("low")(10) == 1);
+    t.true(perType.constructThreshold("low")(10) == 5);
+    t.true(perType.constructThreshold("high")(1000) == 5);
+
+});
+
+// TEST RENDER //
+test("render_palettes", t => {
+
+    let ac = new ActivityCalendar(testDataVolume, "2020-01-01", "2020-01-08", 300, 500, {
+        palettes: { high: ["#eee", "#999", "#333"] }
+    });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let high = document.querySelector(".lgv-cell[data-cell-type='high'][data-cell-value='1000']");
+    let low = document.querySelector(".lgv-cell[data-cell-type='low']");
+
+    t.true(high.getAttribute("fill") == "#333");
+    t.true(high.getAttribute("data-cell-threshold") == "3");
+    t.true(low.getAttribute("fill") === null);
+
+});
+
+/******************** LEGEND ********************/
+
+// TEST CONSTRUCTLEGENDLAYOUT //
+test("constructLegendLayout", t => {
+
+    let shared = new ActivityCalendar(testDataVolume, "2020-01-01", "2020-01-08", 300, 500, { thresholdLevels: 5 });
+    let perType = new ActivityCalendar(testDataVolume, "2020-01-01", "2020-01-08", 300, 500, { thresholdDomain: "type" });
+
+    shared.data;
+    perType.data;
+
+    let sharedLegend = shared.constructLegendLayout();
+    let perTypeLegend = perType.constructLegendLayout();
+
+    t.true(sharedLegend.rows.length == 1);
+    t.true(sharedLegend.showTypes);
+    t.true(sharedLegend.height == sharedLegend.rowHeight * 2);
+    t.deepEqual(perTypeLegend.rows.map(d => d.type), ["high", "low"]);
+    t.false(perTypeLegend.showTypes);
+
+});
+
+// TEST FORMATLEGENDRANGE //
+test("formatLegendRange", t => {
+
+    t.true(acp.formatLegendRange([1, 2.25]) == "1–2.3");
+    t.true(acp.formatLegendRange([undefined, 10]) == "< 10");
+    t.true(acp.formatLegendRange([10, undefined]) == "≥ 10");
+    t.true(acp.formatLegendRange([NaN, NaN]) == "");
+
+});
+
+// TEST get LAYOUT //
+test("get_layout_legend", t => {
+
+    let bottom = new ActivityCalendar(testDataVolume, "2020-01-01", "2020-01-08", 300, 500);
+    let right = new ActivityCalendar(testDataVolume, "2020-01-01", "2020-01-08", 300, 500, { legend: "right" });
+    let none = new ActivityCalendar(testDataVolume, "2020-01-01", "2020-01-08", 300, 500, { legend: false });
+
+    [bottom, right, none].forEach(d => { d.data; d.layout; });
+
+    t.true(bottom.paddingBottom > 0 && bottom.paddingRight == 0);
+    t.true(right.paddingRight > 0 && right.paddingBottom == 0);
+    t.true(none.paddingBottom == 0 && none.paddingRight == 0);
+    t.true(none.cellHeight > bottom.cellHeight);
+
+    // right legend stays inside the artboard including its inset from the calendar
+    right.render(document.createElement("div"));
+
+    let legend = right.constructLegendLayout();
+    let x = Number(right.artboard.select(".lgv-legend").attr("transform").match(/translate\(([\d.]+)/)[1]);
+
+    t.true(x + legend.width <= right.width);
+
+});
+
+// TEST RENDER //
+test("render_legend", t => {
+
+    let ac = new ActivityCalendar(testDataVolume, "2020-01-01", "2020-01-08", 300, 500, { thresholdLevels: 4 });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let levels = [...document.querySelectorAll(".lgv-legend-level .lgv-legend-swatch")].map(d => d.getAttribute("data-cell-threshold"));
+    let types = [...document.querySelectorAll(".lgv-legend-types .lgv-legend-type")].map(d => d.getAttribute("data-cell-type"));
+
+    t.deepEqual(levels, ["1", "2", "3", "4"]);
+    t.deepEqual(types, ["high", "low"]);
+    t.true(document.querySelectorAll(".lgv-legend-range")[0].textContent == "1–250.8");
+
+    // hide legend
+    ac.legend = false;
+    ac.update(ac.dataSource, ac.width, ac.height);
+
+    t.true(document.querySelector(".lgv-legend") === null);
+
+});
+
+/******************** EVENTS ********************/
+
+// TEST ON //
+test("on", t => {
+
+    let ac = new ActivityCalendar(testDataVolume, "2020-01-01", "2020-01-08", 300, 500);
+    let received = [];
+    let handler = e => received.push([e.type, e.detail.date, e.detail.type, e.detail.value]);
+
+    // subscribe before render
+    ac.on("cellclick", handler).on("cellselect", handler);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    // subscribe after render
+    ac.on("cellmouseout", handler);
+
+    let cell = document.querySelector(".lgv-cell[data-cell-type='low'][data-cell-value='10']");
+
+    cell.dispatchEvent(new document.defaultView.MouseEvent("click", { bubbles: true }));
+    cell.dispatchEvent(new document.defaultView.MouseEvent("mouseout", { bubbles: true }));
+    cell.dispatchEvent(new document.defaultView.KeyboardEvent("keydown", { bubbles: true, key: "Enter" }));
+
+    t.deepEqual(received, [
+        ["cellclick", "2020-01-01", "low", 10],
+        ["cellselect", "2020-01-01", "low", 10],
+        ["cellmouseout", "2020-01-01", "low", 10],
+        ["cellselect", "2020-01-01", "low", 10]
+    ]);
+
+    // unsubscribe
+    ac.off("cellclick", handler);
+    cell.dispatchEvent(new document.defaultView.MouseEvent("click", { bubbles: true }));
+
+    t.true(received.filter(d => d[0] == "cellclick").length == 1);
+
+});
+
+/******************** ACCESSIBILITY ********************/
+
+let testDataWeeks = [
+    {date: "2020-01-06", type: "commit", value: 1},
+    {date: "2020-01-08", type: "commit", value: 2},
+    {date: "2020-01-08", type: "review", value: 3},
+    {date: "2020-01-15", type: "commit", value: 4}
+];
+
+// TEST ISODAYSOFWEEK //
+test("isoDaysofWeek", t => {
+
+    let result = acp.isoDaysofWeek("2020-01-08");
+
+    t.true(result.length == 7);
+    t.true(result[0] == "2020-01-06");
+    t.true(result[6] == "2020-01-12");
+
+});
+
+// TEST NAVIGATECELL //
+test("navigateCell", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-20", 300, 500, { accessible: true });
+
+    ac.data;
+
+    let start = ac.dataCells.find(d => d[0] == "2020-01-08" && d[2] == "review");
+
+    t.deepEqual(ac.navigateCell(start, "ArrowUp"), ["2020-01-06", 1, "commit"]);
+    t.true(ac.navigateCell(start, "ArrowDown") === undefined);
+    t.deepEqual(ac.navigateCell(start, "ArrowRight"), ["2020-01-15", 4, "commit"]);
+    t.true(ac.navigateCell(start, "ArrowLeft") === undefined);
+    t.deepEqual(ac.navigateCell(start, "End"), ["2020-01-15", 4, "commit"]);
+
+});
+
+// TEST RENDER //
+test("render_accessible", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-20", 300, 500, { accessible: true });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let artboard = document.querySelector(`.${configuration.name}`);
+    let cells = [...document.querySelectorAll(".lgv-cell")];
+
+    let rows = [...document.querySelectorAll(".lgv-calendar [role=row]")];
+
+    t.true(artboard.getAttribute("role") == "grid");
+    t.true(cells.every(d => d.getAttribute("role") == "gridcell" && d.parentNode.getAttribute("role") == "row"));
+    t.true(artboard.firstElementChild.nodeName == "title");
+    t.true(artboard.getAttribute("aria-label").includes("3 days with activity, 7 commit, 3 review"));
+    t.true(cells[0].getAttribute("aria-label") == "Mon, Jan 6, 2020: 1 commit");
+    t.deepEqual(cells.map(d => d.getAttribute("tabindex")), ["0", "-1", "-1", "-1"]);
+
+    // arrow key moves roving tabindex
+    cells[1].dispatchEvent(new document.defaultView.KeyboardEvent("keydown", { bubbles: true, key: "ArrowRight" }));
+
+    // cells sit in reading order within their weekday row
+    t.true(cells[3].getAttribute("data-cell-date") == "2020-01-15");
+    t.true(cells[3].getAttribute("tabindex") == "0");
+    t.true(cells[0].getAttribute("tabindex") == "-1");
+    t.true(ac.cellFocused == "2020-01-15-commit");
+
+    // one row per weekday with activity
+    t.deepEqual(rows.map(d => [...d.children].map(x => x.getAttribute("data-cell-date"))), [["2020-01-06"], ["2020-01-08", "2020-01-08", "2020-01-15"]]);
+
+    // re-render keeps the title and description apart
+    ac.update(testDataWeeks, 500, 300);
+
+    t.true(artboard.querySelector(":scope > title").textContent == "Activity calendar");
+    t.true(artboard.querySelector(":scope > desc").textContent.includes("3 days with activity"));
+
+});
+
+// TEST RENDER //
+test("render_accessible_vertical", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-20", 300, 500, { accessible: true, orientation: "vertical" });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let rows = [...document.querySelectorAll(".lgv-calendar [role=row]")];
+
+    // one row per week with activity
+    t.deepEqual(rows.map(d => [...d.children].map(x => x.getAttribute("data-cell-date"))), [["2020-01-06", "2020-01-08", "2020-01-08"], ["2020-01-15"]]);
+
+});
+
+/******************** WEEK START / LOCALE ********************/
+
+// TEST CONSTRUCTWEEKSTART //
+test("constructWeekStart", t => {
+
+    t.true(acp.constructWeekStart(0) === 0);
+    t.true(acp.constructWeekStart("6") === 6);
+    t.true(acp.constructWeekStart("Sunday") === 0);
+    t.throws(() => acp.constructWeekStart(7));
+    t.throws(() => acp.constructWeekStart("someday"));
+
+});
+
+// week start and locale through every date adapter
+adapters.forEach(([name, adapter]) => {
+
+    // TEST WEEKOF //
+    test(`weekOf_${name}`, t => {
+
+        let monday = new ActivityCalendar(testData, "2020-01-01", "2020-01-15", 300, 500, { dateAdapter: adapter });
+        let sunday = new ActivityCalendar(testData, "2020-01-01", "2020-01-15", 300, 500, { dateAdapter: adapter, weekStart: "sunday" });
+
+        // 2020-01-04 is a saturday
+        t.true(monday.weekOf("2020-01-04") == "2019-12-30");
+        t.true(monday.weekdayOf("2020-01-04") == 5);
+        t.true(sunday.weekOf("2020-01-04") == "2019-12-29");
+        t.true(sunday.weekdayOf("2020-01-04") == 6);
+        t.true(sunday.weekdayOf("2020-01-05") == 0);
+
+    });
+
+    // TEST get DATA //
+    test(`get_data_week_start_${name}`, t => {
+
+        let ac = new ActivityCalendar(testData, "2020-01-01", "2020-01-15", 300, 500, { dateAdapter: adapter, weekStart: 0 });
+
+        ac.data;
+
+        t.deepEqual(ac.weekIndicies, ["2019-12-29", "2020-01-05", "2020-01-12"]);
+        t.true(ac.weekdays[0] == "Sunday");
+        t.deepEqual(ac.isoDaysofWeek("2020-01-08").slice(0, 2), ["2020-01-05", "2020-01-06"]);
+
+    });
+
+    // TEST RENDER //
+    test(`render_locale_${name}`, t => {
+
+        let ac = new ActivityCalendar(testData, "2020-01-01", "2020-02-29", 300, 500, { dateAdapter: adapter, locale: "de-DE", weekStart: "sunday" });
+
+        // clear document
+        document.body.innerHTML = "";
+
+        // render to dom
+        ac.render(document.body);
+
+        let days = [...document.querySelectorAll(".lgv-annotation-day")].map(d => d.textContent);
+        let months = [...document.querySelectorAll(".lgv-annotation-month tspan")].map(d => d.textContent);
+        let cell = document.querySelector(".lgv-cell[data-cell-date='2020-01-01']");
+
+        t.deepEqual(days, ["S", "M", "D", "M", "D", "F", "S"]);
+        t.deepEqual(months, [
+            adapter.format("2020-01-15", { month: "short" }, "de-DE"),
+            "2020",
+            adapter.format("2020-02-15", { month: "short" }, "de-DE")
+        ]);
+
+        // wednesday is the fourth row when weeks start on sunday
+        t.true(cell.getAttribute("d").startsWith(`M0,${3 * ac.cellHeight}`));
+
+    });
+
+});
+
+/******************** LAYOUT ********************/
+
+// layout through every date adapter
+adapters.forEach(([name, adapter]) => {
+
+    // TEST DATEATPOINT //
+    test(`dateAtPoint_${name}`, t => {
+
+        let ac = new ActivityCalendar(testDataMulti, "2019-12-30", "2020-01-12", 300, 500, { dateAdapter: adapter });
+        let multiples = new ActivityCalendar(testDataMulti, "2019-12-30", "2020-01-12", 300, 500, { dateAdapter: adapter, cellShape: "multiples" });
+
+        [ac, multiples].forEach(d => { d.data; d.layout; });
+
+        t.deepEqual(ac.dateAtPoint(ac.cellWidth * 1.5, ac.cellHeight * 2.5), ["2020-01-08", null]);
+        t.true(ac.dateAtPoint(ac.cellWidth * 2.5, 0) === null);
+        t.true(ac.dateAtPoint(0, ac.cellHeight * 7.5) === null);
+        t.deepEqual(multiples.dateAtPoint(0, multiples.cellHeight * 9.5), ["2020-01-01", "review"]);
+
+    });
+
+    // TEST RENDER //
+    test(`render_year_boundary_${name}`, t => {
+
+        // 2020 has 53 iso weeks
+        let ac = new ActivityCalendar([
+            {date: "2020-12-31", type: "abc", value: 1},
+            {date: "2021-01-01", type: "abc", value: 1},
+            {date: "2021-01-04", type: "abc", value: 1}
+        ], "2020-12-01", "2021-01-31", 300, 500, { dateAdapter: adapter });
+
+        // clear document
+        document.body.innerHTML = "";
+
+        // render to dom
+        ac.render(document.body);
+
+        let lefts = [...document.querySelectorAll(".lgv-cell")].map(d => parseFloat(d.getAttribute("d").slice(1)));
+        let months = [...document.querySelectorAll(".lgv-annotation-month")].map(d => parseFloat(d.getAttribute("x")));
+
+        t.true(lefts.every(d => d >= 0));
+        t.true(lefts[0] == lefts[1]);
+        t.true(lefts[2] == lefts[1] + ac.cellWidth);
+        t.deepEqual(months, [0, ac.cellWidth * 4]);
+
+    });
+
+});
+
+/******************** TIME ZONE ********************/
+
+let testDataInstants = [
+    {date: "2020-01-01T23:30:00Z", type: "abc", value: 1},
+    {date: "2020-01-02T01:00:00Z", type: "abc", value: 2}
+];
+
+// time zones through every date adapter
+adapters.forEach(([name, adapter]) => {
+
+    // TEST get DATA //
+    test(`get_data_time_zone_${name}`, t => {
+
+        let utc = new ActivityCalendar(testDataInstants, "2020-01-01", "2020-01-07", 300, 500, { dateAdapter: adapter, timeZone: "UTC" });
+        let tokyo = new ActivityCalendar(testDataInstants, "2020-01-01", "2020-01-07", 300, 500, { dateAdapter: adapter, timeZone: "Asia/Tokyo" });
+        let instants = new ActivityCalendar(testDataInstants, new Date("2019-12-31T20:00:00Z"), Date.parse("2020-01-07T12:00:00Z"), 300, 500, { dateAdapter: adapter, timeZone: "Asia/Tokyo" });
+
+        utc.data;
+        tokyo.data;
+        instants.data;
+
+        t.deepEqual(utc.dataCells, [["2020-01-01", 1, "abc"], ["2020-01-02", 2, "abc"]]);
+        t.deepEqual(tokyo.dataCells, [["2020-01-02", 3, "abc"]]);
+        t.true(instants.calendarLayout.dateStart == "2020-01-01");
+        t.true(instants.calendarLayout.dateEnd == "2020-01-07");
+
+    });
+
+    // TEST INIT //
+    test(`init_time_zone_${name}`, t => {
+
+        t.throws(() => new ActivityCalendar(testDataInstants, "2020-01-01", "2020-01-07", 300, 500, { dateAdapter: adapter, timeZone: "Nowhere/Special" }));
+
+    });
+
+    // TEST RENDER //
+    test(`render_time_zone_${name}`, t => {
+
+        let ac = new ActivityCalendar(testDataInstants, "2020-01-01", "2020-01-07", 300, 500, { dateAdapter: adapter, timeZone: "Asia/Tokyo" });
+        let received = [];
+
+        ac.on("cellclick", e => received.push(e.detail));
+
+        // clear document
+        document.body.innerHTML = "";
+
+        // render to dom
+        ac.render(document.body);
+
+        document.querySelector(".lgv-cell").dispatchEvent(new document.defaultView.MouseEvent("click", { bubbles: true }));
+
+        t.true(received[0].date == "2020-01-02");
+        t.true(received[0].timeZone == "Asia/Tokyo");
+
+    });
+
+});
+
+/******************** DATE RANGE ********************/
+
+// TEST CONSTRUCTDATERANGE //
+test("constructDateRange", t => {
+
+    let extent = new ActivityCalendar(testDataWeeks);
+    let partial = new ActivityCalendar(testDataWeeks, "2020-01-01");
+    let year = new ActivityCalendar(testDataWeeks, null, null, 300, 500, { range: { year: 2020 } });
+    let last = new ActivityCalendar(testDataWeeks, undefined, undefined, 300, 500, { range: { last: 365 }, timeZone: "UTC" });
+
+    [extent, partial, year, last].forEach(d => d.data);
+
+    let today = new Date().toISOString().slice(0, 10);
+
+    t.deepEqual(extent.constructDateRange(), ["2020-01-06", "2020-01-15"]);
+    t.deepEqual(partial.constructDateRange(), ["2020-01-01", "2020-01-15"]);
+    t.deepEqual(year.constructDateRange(), ["2020-01-01", "2020-12-31"]);
+    t.true(last.constructDateRange()[1] == today);
+    t.true((Date.parse(today) - Date.parse(last.constructDateRange()[0])) / 86400000 == 364);
+
+});
+
+// TEST get DATA //
+test("get_data_invalid_range", t => {
+
+    let reversed = new ActivityCalendar(testDataWeeks, "2020-02-01", "2020-01-01");
+    let invalid = new ActivityCalendar(testDataWeeks, "2020-13-45", "2020-12-31");
+    let unparseable = new ActivityCalendar(testDataWeeks, "yesterday", "2020-12-31");
+    let preset = new ActivityCalendar(testDataWeeks, null, null, 300, 500, { range: { next: 10 } });
+
+    t.throws(() => reversed.data, { message: /Reversed date range/ });
+    t.throws(() => invalid.data, { message: /Invalid dateStart "2020-13-45"/ });
+    t.throws(() => unparseable.data, { message: /Invalid dateStart "yesterday"/ });
+    t.throws(() => preset.data, { message: /Invalid range preset/ });
+
+    // records without a usable date name the record
+    t.throws(() => new ActivityCalendar([{type: "abc", value: 1}], null, null).data, { message: /Invalid date in record \{"type":"abc","value":1\}: Missing date/ });
+    t.throws(() => new ActivityCalendar([{date: "soon", type: "abc", value: 1}], null, null).data, { message: /Invalid date in record .*: Unparseable date "soon"/ });
+
+});
+
+// TEST RENDER //
+test("render_default_range", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    t.true(document.querySelectorAll(".lgv-cell").length == testDataWeeks.length);
+    t.true(ac.weekIndicies.length == 2);
+
+});
+
+// TEST RENDER //
+test("render_empty_range", t => {
+
+    let preset = new ActivityCalendar([], null, null, 300, 500, { range: { year: 2020 } });
+    let explicit = new ActivityCalendar({}, "2020-01-06", "2020-01-19", 300, 500);
+    let node = document.createElement("div");
+
+    // grid and annotations without any cells
+    preset.render(node);
+
+    t.true(preset.weekIndicies.length == 53);
+    t.true(node.querySelectorAll(".lgv-annotation-month").length == 12);
+    t.true(node.querySelectorAll(".lgv-annotation-day").length == 7);
+    t.true(node.querySelectorAll(".lgv-cell").length == 0);
+
+    explicit.render(document.createElement("div"));
+
+    t.true(explicit.weekIndicies.length == 2);
+
+    // first records fill in the cells
+    preset.append([{date: "2020-03-02", type: "commit", value: 1}]);
+    t.true(node.querySelectorAll(".lgv-cell").length == 1);
+
+});
+
+/******************** CELL SIZE ********************/
+
+// TEST get LAYOUT //
+test("get_layout_cell_size", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-03-29", 300, 500, { cellSize: 10, cellGap: 2, legend: false });
+
+    ac.data;
+    ac.layout;
+
+    t.true(ac.weekIndicies.length == 12);
+    t.true(ac.cellWidth == 12 && ac.cellHeight == 12);
+    t.true(ac.width == ac.paddingSide + (12 * 12));
+    t.true(ac.height == ac.paddingTop + (7 * 12));
+
+});
+
+// TEST get LAYOUT //
+test("get_layout_cell_square", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-03-29", 300, 500, { cellSquare: true });
+
+    ac.data;
+    ac.layout;
+
+    t.true(ac.cellWidth == ac.cellHeight);
+    t.true(ac.cellWidth == (300 - ac.paddingSide) / 12);
+    t.true(ac.width == 300 && ac.height == 500);
+
+});
+
+// TEST RENDER //
+test("render_cell_size", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-12", 300, 500, { cellSize: 10, cellGap: 0, cellShape: "multiples", legend: false });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let artboard = document.querySelector(`.${configuration.name}`);
+    let cell = document.querySelector(".lgv-cell");
+
+    t.true(artboard.getAttribute("viewBox") == `0 0 ${ac.paddingSide + 10} ${ac.paddingTop + (2 * 7 * 10)}`);
+    t.true(artboard.getAttribute("width") == ac.width);
+    t.true(cell.getAttribute("d") == "M0,0h10v10h-10Z");
+
+});
+
+/******************** ORIENTATION ********************/
+
+// TEST get LAYOUT //
+test("get_layout_vertical", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-03-29", 300, 500, { cellSize: 10, cellGap: 2, legend: false, orientation: "vertical" });
+
+    ac.data;
+    ac.layout;
+
+    // weekdays are columns, weeks are rows
+    t.true(ac.width == ac.paddingSide + (7 * 12));
+    t.true(ac.height == ac.paddingTop + (12 * 12));
+    t.deepEqual(ac.constructCellPosition("2020-01-08"), [24, 0]);
+    t.deepEqual(ac.constructCellPosition("2020-01-13"), [0, 12]);
+
+});
+
+// TEST RENDER //
+test("render_vertical", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-03-29", 300, 500, { cellSize: 10, cellGap: 0, legend: false, orientation: "vertical" });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let days = document.querySelectorAll(".lgv-annotation-day");
+    let months = document.querySelectorAll(".lgv-annotation-month");
+
+    t.true(days.length == 7);
+    t.true(days[1].getAttribute("x") == "10" && days[1].getAttribute("y") == "0");
+    t.true(months[1].getAttribute("x") == "0");
+    t.true(months[1].getAttribute("y") == `${ac.calendarLayout.column("2020-02-01") * 10 + ac.artboardUnit}`);
+
+    // hit testing swaps the axes
+    t.deepEqual(ac.dateAtPoint(25, 15), ["2020-01-15", null]);
+
+    // arrows follow the screen
+    t.true(ac.navigateCell(["2020-01-06", 1, "commit"], "ArrowRight")[0] == "2020-01-08");
+    t.true(ac.navigateCell(["2020-01-08", 2, "commit"], "ArrowDown")[0] == "2020-01-15");
+
+    // re-render keeps a single set of labels
+    ac.update(testDataWeeks, 300, 500);
+    t.true(document.querySelectorAll(".lgv-annotation-day").length == 7);
+
+});
+
+// TEST RENDER //
+test("render_year_rows", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2019-12-30", "2020-01-12", 300, 500, { cellSize: 10, cellGap: 0, legend: false, yearRows: true });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let years = document.querySelectorAll(".lgv-annotation-year");
+    let pitch = ac.constructPitch();
+
+    t.true(years.length == 2);
+    t.true(years[1].textContent == "2020");
+    t.true(document.querySelectorAll(".lgv-annotation-day").length == 14);
+    t.true(pitch.year == (7 * 10) + ac.bandGap);
+    t.true(ac.height == ac.paddingTop + (2 * 7 * 10) + ac.bandGap);
+
+    // each year starts over at its own first week
+    t.deepEqual(ac.constructCellPosition("2020-01-06"), [10, pitch.year]);
+    t.deepEqual(ac.dateAtPoint(15, pitch.year + 5), ["2020-01-06", null]);
+    t.true(ac.dateAtPoint(15, pitch.year - 5) === null);
+
+    // year label replaces the year after the month name
+    t.true(Array.from(document.querySelectorAll(".lgv-annotation-month")).every(d => d.querySelectorAll("tspan").length == 1));
+
+});
+
+// TEST INIT //
+test("init_orientation_invalid", t => {
+
+    t.throws(() => new ActivityCalendar(testData, null, null, 300, 500, { orientation: "diagonal" }), { message: /orientation/ });
+
+});
+
+/******************** RESPONSIVE ********************/
+
+// TEST RESIZE //
+test("resize_responsive", async t => {
+
+    let observed = [];
+
+    // jsdom has no layout so resizes are reported by hand
+    global.ResizeObserver = class {
+        constructor(callback) { this.callback = callback; this.connected = true; observed.push(this); }
+        observe(node) { this.node = node; }
+        disconnect() { this.connected = false; }
+    };
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-03-29", 300, 500, { responsive: true, resizeDelay: 0 });
+    let handler = () => null;
+
+    // other tests clear the document while this one waits
+    let container = document.createElement("div");
+
+    // render to dom
+    ac.on("cellclick", handler);
+    ac.render(container);
+
+    t.true(observed.length == 1 && observed[0].node == container);
+
+    // resizes reuse the aggregated data
+    ac.extractRecords = () => { throw new Error("re-aggregated"); };
+
+    // burst of resizes renders once at the last size
+    observed[0].callback([{ contentRect: { width: 200, height: 100 } }]);
+    observed[0].callback([{ contentRect: { width: 400, height: 0 } }]);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    let artboard = container.querySelector(`.${configuration.name}`);
+
+    t.true(ac.width == 400 && ac.height == 500);
+    t.true(artboard.getAttribute("viewBox") == "0 0 400 500");
+    t.true(ac.cellWidth == (400 - ac.paddingSide) / 12);
+
+    // destroy tears everything down
+    ac.destroy();
+
+    t.false(observed[0].connected);
+    t.true(container.querySelector(`.${configuration.name}`) === null);
+    t.true(ac.listeners.length == 0);
+
+    delete global.ResizeObserver;
+
+});
+
+/******************** TRANSITIONS ********************/
+
+// TEST UPDATE //
+test("update_transition", async t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-19", 300, 500, { palettes: { commit: ["#000000", "#777777", "#ffffff"], review: ["#000000", "#777777", "#ffffff"] }, thresholdDomain: "type", transition: true, transitionDuration: 20, transitionEasing: "easeLinear" });
+
+    // other tests clear the document while this one waits
+    let container = document.createElement("div");
+
+    // render to dom
+    ac.render(container);
+
+    let cell = container.querySelector(".lgv-cell[data-cell-date='2020-01-15']");
+
+    // entering cells fade in
+    t.true(cell.getAttribute("opacity") == "0");
+    await new Promise(resolve => setTimeout(resolve, 100));
+    t.true(cell.getAttribute("opacity") == "1");
+    t.true(cell.getAttribute("fill") == "rgb(255, 255, 255)");
+
+    // drop review, lower the last commit to the first level
+    ac.update(testDataWeeks.filter(d => d.type == "commit").map(d => d.date == "2020-01-15" ? { ...d, value: 1 } : d), 300, 500);
+
+    // same element is updated and exiting cells leave the cell selection at once
+    t.true(container.querySelector(".lgv-cell[data-cell-date='2020-01-15']") === cell);
+    t.true(cell.getAttribute("data-cell-threshold") == "1");
+    t.true(container.querySelectorAll(".lgv-cell").length == 3);
+    t.true(container.querySelectorAll(".lgv-cell-exit").length == 1);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    t.true(cell.getAttribute("fill") == "rgb(0, 0, 0)");
+    t.true(container.querySelectorAll(".lgv-cell-exit").length == 0);
+
+});
+
+// TEST UPDATE //
+test("update_transition_stylesheet", async t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-19", 300, 500, { thresholdDomain: "type", transition: true, transitionDuration: 20, transitionEasing: "easeLinear" });
+
+    // computed styles need the container in the document, other tests clear it once this one waits
+    let container = document.createElement("div");
+    container.className = "stylesheet-levels";
+    container.innerHTML = `<style>.stylesheet-levels [data-cell-threshold="1"] { fill: #000000; } .stylesheet-levels [data-cell-threshold="3"] { fill: #ffffff; }</style>`;
+    document.body.appendChild(container);
+
+    // render to dom
+    ac.render(container);
+
+    let cell = container.querySelector(".lgv-cell[data-cell-date='2020-01-15']");
+
+    // entering cells start at their level color
+    t.true(cell.getAttribute("fill") == "#ffffff");
+
+    // lower the last commit to the first level
+    ac.update(testDataWeeks.map(d => d.date == "2020-01-15" ? { ...d, value: 1 } : d), 300, 500);
+
+    // fill tweens from the old level color
+    t.true(cell.getAttribute("data-cell-threshold") == "1");
+    t.true(cell.getAttribute("fill") == "#ffffff");
+
+    // transitions end late on a busy machine
+    for (let i = 0; i < 100 && cell.hasAttribute("fill"); i++) await new Promise(resolve => setTimeout(resolve, 20));
+
+    // settled cells take their fill from the stylesheet
+    t.false(cell.hasAttribute("fill"));
+
+    container.remove();
+
+});
+
+// TEST TRANSITION DURATION //
+test("transition_reduced_motion", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, null, null, 300, 500, { transition: true, transitionDuration: 500 });
+
+    t.true(ac.constructTransitionDuration() == 500);
+
+    // browser reports a reduced motion preference
+    global.window = { matchMedia: query => ({ matches: query == "(prefers-reduced-motion: reduce)" }) };
+    t.true(ac.constructTransitionDuration() == 0);
+    delete global.window;
+
+    t.true(new ActivityCalendar(testDataWeeks).constructTransitionDuration() == 0);
+
+});
+
+/******************** SELECTION ********************/
+
+// selection through every date adapter
+adapters.forEach(([name, adapter]) => {
+
+    // TEST RANGESELECT //
+    test(`rangeselect_${name}`, t => {
+
+        let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-31", 300, 500, { dateAdapter: adapter, selectable: true });
+        let events = [];
+
+        // clear document
+        document.body.innerHTML = "";
+
+        // render to dom
+        ac.on("rangeselect", e => events.push(e.detail));
+        ac.render(document.body);
+
+        let artboard = document.querySelector(`.${configuration.name}`);
+        let cell = date => document.querySelector(`.lgv-cell[data-cell-date='${date}']`);
+        let mouse = (node, name, options={}) => node.dispatchEvent(new document.defaultView.MouseEvent(name, { bubbles: true, ...options }));
+
+        // press and release selects a day
+        mouse(cell("2020-01-08"), "mousedown");
+        mouse(cell("2020-01-08"), "mouseup");
+
+        t.true(events.length == 1);
+        t.deepEqual(events[0], { dateEnd: "2020-01-08", dateStart: "2020-01-08", dates: ["2020-01-08"], kind: "day", totals: { commit: 2, review: 3 } });
+        t.true(document.querySelectorAll(".lgv-cell-selected").length == 2);
+
+        // drag selects the days in between and only emits on release
+        mouse(cell("2020-01-15"), "mousedown");
+        mouse(cell("2020-01-06"), "mouseover");
+        t.true(events.length == 1);
+        t.true(cell("2020-01-08").classList.contains("lgv-cell-selected"));
+        mouse(artboard, "mouseup");
+
+        t.true(events[1].kind == "range" && events[1].dateStart == "2020-01-06" && events[1].dateEnd == "2020-01-15");
+        t.true(events[1].dates.length == 10);
+        t.deepEqual(events[1].totals, { commit: 7, review: 3 });
+
+        // shift extends from the anchor
+        mouse(cell("2020-01-06"), "mousedown", { shiftKey: true });
+        mouse(cell("2020-01-06"), "mouseup");
+        t.true(events[2].dateStart == "2020-01-06" && events[2].dateEnd == "2020-01-15");
+
+        // month label selects the days of the month within the range
+        mouse(document.querySelector(".lgv-annotation-month"), "click");
+        t.true(events[3].kind == "month" && events[3].dateStart == "2020-01-06" && events[3].dateEnd == "2020-01-31");
+
+        // weekday label selects the row
+        mouse(document.querySelectorAll(".lgv-annotation-day")[2], "click");
+        t.deepEqual(events[4].dates, ["2020-01-08", "2020-01-15", "2020-01-22", "2020-01-29"]);
+        t.deepEqual(events[4].totals, { commit: 6, review: 3 });
+
+        // selection survives updates, clearing is silent
+        ac.update(testDataWeeks, 300, 500);
+        t.true(cell("2020-01-15").classList.contains("lgv-cell-selected"));
+        ac.clearSelection();
+        t.true(document.querySelectorAll(".lgv-cell-selected").length == 0);
+        t.true(events.length == 5);
+
+    });
+
+});
+
+/******************** HIGHLIGHT ********************/
+
+// TEST HIGHLIGHT //
+test("highlight", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-19", 300, 500);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let artboard = document.querySelector(`.${configuration.name}`);
+    let highlighted = () => Array.from(document.querySelectorAll(".lgv-cell-highlighted")).map(d => `${d.dataset.cellDate}-${d.dataset.cellType}`);
+
+    // by activity type
+    ac.highlight("review");
+    t.deepEqual(highlighted(), ["2020-01-08-review"]);
+    t.true(document.querySelectorAll(".lgv-cell-dimmed").length == 3);
+
+    // by dates
+    ac.highlight(["2020-01-06", "2020-01-15"]);
+    t.deepEqual(highlighted().sort(), ["2020-01-06-commit", "2020-01-15-commit"]);
+
+    // by predicate
+    ac.highlight((date, value, type) => value > 2);
+    t.deepEqual(highlighted().sort(), ["2020-01-08-review", "2020-01-15-commit"]);
+    t.true(document.querySelector(".lgv-cell-dimmed").getAttribute("fill-opacity") == "0.25");
+
+    // without rebuilding the chart
+    t.true(document.querySelector(`.${configuration.name}`) === artboard);
+
+    ac.clearHighlight();
+    t.true(document.querySelectorAll(".lgv-cell-highlighted, .lgv-cell-dimmed, [fill-opacity]").length == 0);
+
+});
+
+// TEST SETVISIBLETYPES //
+test("setVisibleTypes", t => {
+
+    let data = [
+        {date: "2020-01-06", type: "commit", value: 1},
+        {date: "2020-01-08", type: "commit", value: 2},
+        {date: "2020-01-08", type: "review", value: 10}
+    ];
+    let ac = new ActivityCalendar(data, "2020-01-06", "2020-01-19", 300, 500);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let threshold = date => document.querySelector(`.lgv-cell[data-cell-date='${date}'][data-cell-type='commit']`).getAttribute("data-cell-threshold");
+
+    // review stretches the shared domain
+    t.true(threshold("2020-01-08") == "1");
+
+    // hide without changing the domain
+    ac.setVisibleTypes(["commit"]);
+    t.true(document.querySelector(".lgv-cell[data-cell-type='review']").getAttribute("display") == "none");
+    t.true(document.querySelector(".lgv-legend-type[data-cell-type='review']").classList.contains("lgv-legend-type-hidden"));
+    t.true(threshold("2020-01-08") == "1");
+
+    // domain from the visible types only
+    ac.setVisibleTypes(["commit"], true);
+    t.true(ac.constructThreshold().domain()[1] == 2);
+    t.true(threshold("2020-01-08") == "3");
+
+    // survives an update, then everything back
+    ac.update(data, 300, 500);
+    t.true(document.querySelectorAll(".lgv-cell-hidden").length == 1);
+    ac.setVisibleTypes(null);
+    t.true(document.querySelectorAll(".lgv-cell-hidden, [display]").length == 0);
+    t.true(threshold("2020-01-08") == "1");
+
+    // canvas redraws without the hidden types
+    let canvas = new ActivityCalendar(data, "2020-01-06", "2020-01-19", 300, 500, { renderer: "canvas" });
+    let drawn = [];
+
+    canvas.render(document.createElement("div"));
+    canvas.configureCellCanvas = function(domNode) {
+        drawn.push(domNode.node().tagName.toLowerCase());
+        return ActivityCalendar.prototype.configureCellCanvas.call(this, domNode);
+    };
+
+    canvas.setVisibleTypes(["review"]);
+
+    t.deepEqual(drawn, ["canvas"]);
+    t.deepEqual(canvas.cellAtPoint(...canvas.constructCellPosition("2020-01-08").map(d => d + 1)), ["2020-01-08", 10, "review"]);
+
+});
+
+/******************** INCREMENTAL DATA ********************/
+
+// TEST APPEND //
+test("append", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks.slice(), null, null, 300, 500);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    let cell = (date, type="commit") => document.querySelector(`.lgv-cell[data-cell-date='${date}'][data-cell-type='${type}']`);
+    let untouched = cell("2020-01-06");
+
+    // full re-aggregation is not needed anymore
+    ac.extractRecords = () => { throw new Error("re-aggregated"); };
+
+    ac.append([{date: "2020-01-08", type: "commit", value: 5}, {date: "2020-01-09", type: "review", value: 1}]);
+
+    t.true(ac.dataAggregateDays.get("2020-01-08").get("commit") == 7);
+    t.true(cell("2020-01-08").getAttribute("data-cell-value") == "7");
+    t.true(cell("2020-01-09", "review") !== null);
+    t.true(cell("2020-01-06") === untouched);
+    t.true(ac.dataSource.length == 6);
+
+    // data extent grows forward
+    ac.append([{date: "2020-02-03", type: "commit", value: 1}]);
+
+    t.true(ac.calendarLayout.dateEnd == "2020-02-03");
+    t.true(cell("2020-02-03") !== null);
+    t.true(ac.weekIndicies.length == 5);
+
+    // array records carry their own type
+    t.throws(() => ac.append([{date: "2020-02-04", value: 1}], "deploy"), { message: /array source/ });
+    t.true(ac.dataSource.length == 7);
+
+});
+
+// TEST REMOVE //
+test("remove", t => {
+
+    let ac = new ActivityCalendar({ commit: [{date: "2020-01-06", value: 1}, {date: "2020-01-08", value: 2}], review: [{date: "2020-01-08", value: 3}] }, "2020-01-06", "2020-01-19", 300, 500);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ac.render(document.body);
+
+    ac.extractRecords = () => { throw new Error("re-aggregated"); };
+
+    // keyed source takes the type as an argument
+    ac.append([{date: "2020-01-10", value: 4}], "review");
+    t.true(document.querySelectorAll(".lgv-cell").length == 4);
+    t.true(ac.dataSource.review.length == 2);
+
+    ac.remove((d, type) => type == "review" && d.date == "2020-01-08");
+
+    t.false(ac.dataAggregateDays.get("2020-01-08").has("review"));
+    t.true(document.querySelector(".lgv-cell[data-cell-date='2020-01-08'][data-cell-type='review']") === null);
+    t.true(document.querySelectorAll(".lgv-cell").length == 3);
+    t.true(ac.dataSource.review.length == 1);
+
+    // removing a day entirely
+    ac.remove(d => d.date == "2020-01-06");
+    t.false(ac.dataAggregateDays.has("2020-01-06"));
+
+});
+
+/******************** CANVAS ********************/
+
+// TEST RENDER //
+test("render_canvas", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-19", 300, 500, { cellSize: 10, cellGap: 0, legend: false, renderer: "canvas" });
+    let events = [];
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ["cellmouseover", "cellmouseout", "cellclick"].forEach(d => ac.on(d, e => events.push([e.type, e.detail.date, e.detail.type, e.detail.threshold])));
+    ac.render(document.body);
+
+    let canvas = document.querySelector(".lgv-calendar > .lgv-cell-canvas canvas");
+    let mouse = (name, x, y) => canvas.dispatchEvent(new document.defaultView.MouseEvent(name, { bubbles: true, clientX: x, clientY: y }));
+
+    // one canvas instead of a path per cell
+    t.true(document.querySelectorAll(".lgv-cell").length == 0);
+    t.true(canvas.getAttribute("width") == "20" && canvas.getAttribute("height") == "70");
+
+    // hit-testing by coordinates, repeated moves within a cell emit once
+    mouse("mousemove", 5, 25);
+    mouse("mousemove", 6, 26);
+    mouse("mousemove", 15, 25);
+    mouse("mousemove", 15, 15);
+    mouse("click", 5, 5);
+
+    t.deepEqual(events, [
+        ["cellmouseover", "2020-01-08", "commit", "2"],
+        ["cellmouseout", "2020-01-08", "commit", "2"],
+        ["cellmouseover", "2020-01-15", "commit", "3"],
+        ["cellmouseout", "2020-01-15", "commit", "3"],
+        ["cellclick", "2020-01-06", "commit", "1"]
+    ]);
+    t.deepEqual(ac.cellAtPoint(5, 25), ["2020-01-08", 2, "commit"]);
+    t.true(ac.cellAtPoint(5, 35) === null);
+
+    // export still draws cells as paths
+    t.true(ac.toSVGString().includes("lgv-cell"));
+    t.true(document.querySelector(".lgv-calendar > .lgv-cell-canvas canvas") === canvas);
+
+});
+
+// TEST INIT //
+test("init_renderer_invalid", t => {
+
+    t.throws(() => new ActivityCalendar(testData, null, null, 300, 500, { renderer: "webgl" }), { message: /renderer/ });
+
+});
+
+/******************** ANNOTATIONS ********************/
+
+// TEST RENDER //
+test("render_markers", t => {
+
+    let annotations = [
+        {date: "2020-01-08", label: "v1.0", kind: "release"},
+        {date: "2020-01-15", label: "outage", kind: "incident", mark: "dot"},
+        {dateRange: ["2020-01-10", "2020-01-14"], label: "offsite", kind: "holiday"},
+        {dateRange: ["2019-12-01", "2019-12-31"], label: "before", kind: "holiday"}
+    ];
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-19", 300, 500, { annotations: annotations });
+    let events = [];
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    ["markermouseover", "markermouseout"].forEach(d => ac.on(d, e => events.push([e.type, e.detail.label, e.detail.dates.length])));
+    ac.render(document.body);
+
+    let markers = document.querySelectorAll(".lgv-markers > .lgv-marker");
+    let marker = kind => document.querySelector(`.lgv-marker[data-marker-kind='${kind}']`);
+
+    // layer above the cells, annotations outside the range are left out
+    t.true(document.querySelector(".lgv-calendar").nextElementSibling.classList.contains("lgv-markers"));
+    t.true(markers.length == 3);
+
+    // outline by default, span for ranges, one shape per week
+    t.true(marker("release").getAttribute("data-marker-mark") == "outline");
+    t.true(marker("release").querySelector("path").getAttribute("fill") == "none");
+    t.true(marker("incident").getAttribute("data-marker-mark") == "dot");
+    t.true(marker("holiday").getAttribute("data-marker-mark") == "span");
+    t.true(marker("holiday").querySelectorAll("path").length == 2);
+    t.true(marker("holiday").querySelector("title").textContent == "offsite");
+
+    // own hover event
+    marker("holiday").dispatchEvent(new document.defaultView.MouseEvent("mouseenter"));
+    marker("holiday").dispatchEvent(new document.defaultView.MouseEvent("mouseleave"));
+
+    t.deepEqual(events, [["markermouseover", "offsite", 5], ["markermouseout", "offsite", 5]]);
+
+    // invalid annotations
+    t.throws(() => new ActivityCalendar(testDataWeeks, null, null, 300, 500, { annotations: [{label: "x"}] }).render(document.createElement("div")), { message: /annotation/ });
+    t.throws(() => new ActivityCalendar(testDataWeeks, null, null, 300, 500, { annotations: [{date: "2020-01-08", mark: "star"}] }).render(document.createElement("div")), { message: /mark/ });
+
+});
+
+// TEST OFF DAYS //
+test("offDays", t => {
+
+    let data = [
+        {date: "2020-01-06", type: "commit", value: 1},
+        {date: "2020-01-08", type: "commit", value: 2},
+        {date: "2020-01-09", type: "commit", value: 3},
+        {date: "2020-01-11", type: "commit", value: 9}
+    ];
+    let annotations = [{date: "2020-01-09", label: "holiday", kind: "holiday"}];
+
+    let dimmed = new ActivityCalendar(data, "2020-01-06", "2020-01-19", 300, 500, { annotations: annotations, offDays: ["weekend", "holiday"] });
+    let excluded = new ActivityCalendar(data, "2020-01-06", "2020-01-19", 300, 500, { annotations: annotations, offDays: ["weekend", "holiday"], offDaysMode: "exclude" });
+    let node = document.createElement("div");
+
+    // dim keeps the domain
+    dimmed.render(node);
+
+    t.deepEqual(Array.from(node.querySelectorAll(".lgv-cell-off")).map(d => d.dataset.cellDate).sort(), ["2020-01-09", "2020-01-11"]);
+    t.true(node.querySelector(".lgv-cell-off").getAttribute("fill-opacity") == "0.5");
+    t.true(dimmed.constructThreshold().domain()[1] == 9);
+
+    // exclude drops weekend and holiday values from the domain
+    excluded.render(document.createElement("div"));
+
+    t.deepEqual(excluded.constructThreshold().domain(), [1, 2]);
+
+    t.throws(() => new ActivityCalendar(data, null, null, 300, 500, { offDaysMode: "hide" }), { message: /offDaysMode/ });
+
+});
+
+/******************** MARGINALS ********************/
+
+// TEST RENDER //
+test("render_marginals", t => {
+
+    let ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-19", 300, 500, { cellSize: 10, cellGap: 0, legend: false, marginals: true });
+    let node = document.createElement("div");
+
+    // render to dom
+    ac.render(node);
+
+    let bars = kind => Array.from(node.querySelectorAll(`.lgv-marginals > .lgv-marginal-${kind}`)).map(d => ["x", "y", "width", "height"].map(x => Math.round(parseFloat(d.getAttribute(x)))).concat([d.dataset.cellType || null, d.dataset.marginalValue]));
+
+    // room beside and below the grid
+    t.true(ac.width == 100 && ac.height == 150);
+
+    // one bar per weekday row with activity, past the last week
+    t.deepEqual(bars("weekday"), [[28, 0, 4, 10, null, "1"], [28, 20, 40, 10, null, "9"]]);
+
+    // one stack per week column, below the last weekday
+    t.deepEqual(bars("week"), [
+        [0, 78, 10, 20, "commit", "3"],
+        [0, 98, 10, 20, "review", "3"],
+        [10, 78, 10, 27, "commit", "4"]
+    ]);
+
+    // axes swap when vertical
+    ac = new ActivityCalendar(testDataWeeks, "2020-01-06", "2020-01-19", 300, 500, { cellSize: 10, cellGap: 0, legend: false, marginals: true, orientation: "vertical" });
+    ac.render(node);
+
+    t.deepEqual(bars("weekday")[1], [20, 28, 10, 40, null, "9"]);
+
+    // totals follow appended data
+    ac.append([{date: "2020-01-06", type: "commit", value: 9}]);
+    t.true(bars("weekday")[0][5] == "10");
+
+});
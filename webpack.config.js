@@ -21,9 +21,28 @@ const webpackConfig = {
         }),
         new webpack.DefinePlugin({
             "process.env": {
-                "DIMENSION_HEIGHT": JSON.stringify(process.DIMENSION_HEIGHT),
-                "DIMENSION_WIDTH": JSON.stringify(process.DIMENSION_WIDTH),
-                "LAYOUT_CELL_SIZE": JSON.stringify(process.LAYOUT_CELL_SIZE)
+                "CALENDAR_LOCALE": JSON.stringify(process.env.CALENDAR_LOCALE),
+                "CALENDAR_TIME_ZONE": JSON.stringify(process.env.CALENDAR_TIME_ZONE),
+                "CALENDAR_WEEK_START": JSON.stringify(process.env.CALENDAR_WEEK_START),
+                "DATA_AGGREGATION": JSON.stringify(process.env.DATA_AGGREGATION),
+                "DIMENSION_HEIGHT": JSON.stringify(process.env.DIMENSION_HEIGHT),
+                "DIMENSION_WIDTH": JSON.stringify(process.env.DIMENSION_WIDTH),
+                "LAYOUT_CELL_GAP": JSON.stringify(process.env.LAYOUT_CELL_GAP),
+                "LAYOUT_CELL_SHAPE": JSON.stringify(process.env.LAYOUT_CELL_SHAPE),
+                "LAYOUT_CELL_SIZE": JSON.stringify(process.env.LAYOUT_CELL_SIZE),
+                "LAYOUT_LEGEND": JSON.stringify(process.env.LAYOUT_LEGEND),
+                "LAYOUT_MARGINALS": JSON.stringify(process.env.LAYOUT_MARGINALS),
+                "LAYOUT_ORIENTATION": JSON.stringify(process.env.LAYOUT_ORIENTATION),
+                "LAYOUT_RENDERER": JSON.stringify(process.env.LAYOUT_RENDERER),
+                "LAYOUT_RESIZE_DELAY": JSON.stringify(process.env.LAYOUT_RESIZE_DELAY),
+                "LAYOUT_RESPONSIVE": JSON.stringify(process.env.LAYOUT_RESPONSIVE),
+                "LAYOUT_YEAR_ROWS": JSON.stringify(process.env.LAYOUT_YEAR_ROWS),
+                "THRESHOLD_DOMAIN": JSON.stringify(process.env.THRESHOLD_DOMAIN),
+                "THRESHOLD_LEVELS": JSON.stringify(process.env.THRESHOLD_LEVELS),
+                "THRESHOLD_OFF_DAYS_MODE": JSON.stringify(process.env.THRESHOLD_OFF_DAYS_MODE),
+                "THRESHOLD_SCALE": JSON.stringify(process.env.THRESHOLD_SCALE),
+                "TRANSITION_DURATION": JSON.stringify(process.env.TRANSITION_DURATION),
+                "TRANSITION_EASING": JSON.stringify(process.env.TRANSITION_EASING)
             }
         })
     ],